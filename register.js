@@ -0,0 +1,3 @@
+// require('litescript/register') lets require() load .ls files, with error
+// stacks that point at them
+require('./src/register').register({ stackTraces: true });
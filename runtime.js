@@ -0,0 +1,2 @@
+// require('litescript/runtime') gives the helpers used by compiled code
+module.exports = require('./src/runtime');
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { transpile } = require('./transpiler');
+const { formatError } = require('./errors');
+
+const FORMATS = {
+  cjs: '.js',
+  esm: '.mjs',
+};
+
+// Ways for the output to get the runtime helpers, see src/runtime.js
+const RUNTIMES = ['inline', 'import'];
+
+/**
+ * Finds all .ls files in a directory tree
+ * Skips node_modules, dotfiles and the output directory
+ * @param {string} dir - The directory to search
+ * @param {string} outDir - The output directory (absolute)
+ * @returns {string[]} - Paths of the .ls files
+ */
+function findSources(dir, outDir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (path.resolve(fullPath) === outDir) continue;
+      files.push(...findSources(fullPath, outDir));
+    } else if (entry.isFile() && entry.name.endsWith('.ls')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Transpiles one .ls file and writes the result (and its source map)
+ * @param {string} sourceFile - Path of the .ls file
+ * @param {string} outputFile - Path of the .js file to write
+ * @param {object} options - See build()
+ */
+function buildFile(sourceFile, outputFile, options) {
+  const source = fs.readFileSync(sourceFile, 'utf8');
+  const outputDir = path.dirname(outputFile);
+  const mapFile = `${outputFile}.map`;
+
+  const { code, map } = transpile(source, {
+    sourceMap: true,
+    format: options.format,
+    runtime: options.runtime,
+    extension: FORMATS[options.format],
+    filename: path.relative(outputDir, sourceFile).split(path.sep).join('/'),
+    outputFilename: path.basename(outputFile),
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  if (options.sourceMap) {
+    fs.writeFileSync(mapFile, JSON.stringify(map));
+    fs.writeFileSync(
+      outputFile,
+      `${code}//# sourceMappingURL=${path.basename(mapFile)}\n`
+    );
+  } else {
+    fs.writeFileSync(outputFile, code);
+  }
+
+  // Scripts with a shebang line stay executable
+  if (code.startsWith('#!')) {
+    fs.chmodSync(outputFile, 0o755);
+  }
+}
+
+/**
+ * Transpiles a .ls file or a directory of .ls files to JavaScript files
+ * The directory layout below the input directory is kept in the output
+ * @param {string} input - A .ls file or a directory
+ * @param {object} [options]
+ * @param {string} [options.outDir] - Output directory (default: dist)
+ * @param {string} [options.format] - Module format: cjs or esm (default: cjs)
+ * @param {boolean} [options.sourceMap] - Write .map files next to the output
+ * @param {string} [options.runtime] - inline (default) or import: see
+ *   transpile()
+ * @returns {{built: string[], failed: string[]}} - The files written and the
+ *   source files that could not be built
+ */
+function build(input, options = {}) {
+  const format = options.format || 'cjs';
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    throw new Error(
+      `Unknown format "${format}", expected one of: ${Object.keys(FORMATS).join(', ')}`
+    );
+  }
+  if (options.runtime && !RUNTIMES.includes(options.runtime)) {
+    throw new Error(
+      `Unknown runtime "${options.runtime}", expected one of: ${RUNTIMES.join(', ')}`
+    );
+  }
+  if (!fs.existsSync(input)) {
+    throw new Error(`${input} does not exist`);
+  }
+
+  const outDir = path.resolve(options.outDir || 'dist');
+  const isDirectory = fs.statSync(input).isDirectory();
+  const baseDir = isDirectory ? input : path.dirname(input);
+  const sources = isDirectory ? findSources(input, outDir) : [input];
+  const result = { built: [], failed: [] };
+
+  for (const sourceFile of sources) {
+    const relative = path.relative(baseDir, sourceFile);
+    const outputFile = path.join(
+      outDir,
+      relative.replace(/\.ls$/, '') + FORMATS[format]
+    );
+
+    try {
+      buildFile(sourceFile, outputFile, { ...options, format });
+      console.log(`✓ ${sourceFile} → ${path.relative(process.cwd(), outputFile)}`);
+      result.built.push(outputFile);
+    } catch (error) {
+      console.error(`✗ Error building ${sourceFile}:`, error.message);
+      const source = fs.readFileSync(sourceFile, 'utf8');
+      const details = formatError(error, { filename: sourceFile, source });
+      if (details) {
+        console.error(details);
+      }
+      result.failed.push(sourceFile);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  build,
+};
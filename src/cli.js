@@ -1,7 +1,9 @@
 const fs = require('fs');
-const vm = require('vm');
-const { transpile } = require('./transpiler');
+const path = require('path');
 const { watch } = require('./watcher');
+const { build } = require('./build');
+const { formatError } = require('./errors');
+const { files, register, run } = require('./register');
 
 /**
  * Parses command line arguments and executes the transpiler
@@ -14,6 +16,11 @@ function parseArgs() {
     test: false,
     testFeature: null,
     testName: null,
+    build: false,
+    outDir: 'dist',
+    format: 'cjs',
+    sourceMap: false,
+    runtime: 'inline',
   };
 
   // Check if first argument is "test"
@@ -28,10 +35,24 @@ function parseArgs() {
     return result;
   }
 
+  // Check if first argument is "build"
+  if (args.length > 0 && args[0] === 'build') {
+    result.build = true;
+    args.shift();
+  }
+
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
 
-    if (arg === '-w' || arg === '--watch') {
+    if (result.build && (arg === '-o' || arg === '--out-dir')) {
+      result.outDir = args[++i];
+    } else if (result.build && arg === '--format') {
+      result.format = args[++i];
+    } else if (result.build && arg === '--runtime') {
+      result.runtime = args[++i];
+    } else if (result.build && (arg === '-m' || arg === '--source-map')) {
+      result.sourceMap = true;
+    } else if (arg === '-w' || arg === '--watch') {
       result.watch = true;
     } else if (arg === '-h' || arg === '--help') {
       printHelp();
@@ -50,39 +71,69 @@ function parseArgs() {
 function printHelp() {
   console.log(`
 Usage: lite <input.ls> [options]
+       lite build <input.ls|dir> [build options]
        lite test <feature> <test_name>
 
 Options:
   -w, --watch    Watch for file changes and re-execute
   -h, --help     Show this help message
 
+Build options:
+  -o, --out-dir <dir>    Output directory (default: dist)
+  --format <cjs|esm>     Module format of the output (default: cjs)
+  -m, --source-map       Write source maps next to the output
+  --runtime <inline|import>
+                         Copy the runtime helpers into each file, or import
+                         them from litescript/runtime (default: inline)
+
 Examples:
   lite main.ls
   lite main.ls --watch
+  lite build src --out-dir dist
   lite test arrays range
 `);
 }
 
 /**
- * Executes a transpiled file
+ * Prints an error raised by a running file, with .ls positions
  */
-function executeFile(inputFile) {
-  try {
-    if (!fs.existsSync(inputFile)) {
-      console.error(`Error: File ${inputFile} does not exist`);
-      process.exit(1);
-    }
+function reportError(inputFile, error) {
+  console.error(
+    `✗ Error executing ${inputFile}:`,
+    error && error.message !== undefined ? error.message : error
+  );
+  const details = formatError(error, { files });
+  if (details) {
+    console.error(details);
+  }
+}
 
-    const source = fs.readFileSync(inputFile, 'utf8');
-    const compiled = transpile(source);
+/**
+ * Executes a transpiled file and waits until it has finished
+ * Errors, including rejected promises that nothing handles and errors thrown
+ * in callbacks, are reported with positions in the .ls file and a code
+ * frame, and exit with code 1
+ */
+async function executeFile(inputFile) {
+  if (!fs.existsSync(inputFile)) {
+    console.error(`Error: File ${inputFile} does not exist`);
+    process.exit(1);
+  }
 
-    // Execute the transpiled code
-    vm.runInThisContext(compiled, {
-      filename: inputFile,
-      displayErrors: true,
-    });
+  // Errors thrown later, in callbacks or by promises that nothing handles
+  const fail = (error) => {
+    reportError(inputFile, error);
+    process.exit(1);
+  };
+  process.on('unhandledRejection', fail);
+  process.on('uncaughtException', fail);
+
+  try {
+    // Run the file as a module, so that it can import other .ls files
+    register();
+    await run(path.resolve(inputFile));
   } catch (error) {
-    console.error(`✗ Error executing ${inputFile}:`, error.message);
+    reportError(inputFile, error);
     process.exit(1);
   }
 }
@@ -108,17 +159,50 @@ function runTest(testFeature, testName) {
   executeFile(testPath);
 }
 
+/**
+ * Writes the transpiled JavaScript for a file or directory to disk
+ */
+function runBuild(input, options) {
+  if (!input) {
+    console.error('Error: Usage: lite build <input.ls|dir> [--out-dir dist]');
+    process.exit(1);
+  }
+
+  try {
+    const { built, failed } = build(input, options);
+    console.log(`\nBuilt ${built.length} file(s) into ${options.outDir}`);
+    if (failed.length > 0) {
+      console.error(`✗ ${failed.length} file(s) failed to build`);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Main CLI entry point
  */
 function main() {
-  const { inputFile, watch: watchMode, test, testFeature, testName } = parseArgs();
+  const args = parseArgs();
+  const { inputFile, watch: watchMode, test, testFeature, testName } = args;
 
   if (test) {
     runTest(testFeature, testName);
     return;
   }
 
+  if (args.build) {
+    runBuild(inputFile, {
+      outDir: args.outDir,
+      format: args.format,
+      sourceMap: args.sourceMap,
+      runtime: args.runtime,
+    });
+    return;
+  }
+
   if (!inputFile) {
     console.error('Error: No input file specified');
     printHelp();
@@ -0,0 +1,138 @@
+/**
+ * Error reporting for litescript
+ * Maps positions in error stacks back to the .ls source through the source
+ * map and shows the offending code with a code frame
+ */
+
+const path = require('path');
+const { originalPositionFor } = require('./sourcemap');
+
+/**
+ * Escapes a string for use in a regular expression
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Renders the lines around a position with a marker under the column
+ * @param {string} source - The source code
+ * @param {number} line - 1-based line
+ * @param {number} column - 0-based column
+ * @param {number} [context] - Number of lines to show before and after
+ * @returns {string} - The code frame
+ */
+function codeFrame(source, line, column, context = 2) {
+  const lines = source.replace(/\n$/, '').split('\n');
+  const first = Math.max(1, line - context);
+  const last = Math.min(lines.length, line + context);
+  const width = String(last).length;
+  const result = [];
+
+  for (let number = first; number <= last; number++) {
+    const gutter = String(number).padStart(width);
+    const text = lines[number - 1].replace(/\r$/, '');
+    if (number === line) {
+      result.push(`> ${gutter} | ${text}`);
+      const padding = text.slice(0, column).replace(/[^\t]/g, ' ');
+      result.push(`  ${' '.repeat(width)} | ${padding}^`);
+    } else {
+      result.push(`  ${gutter} | ${text}`);
+    }
+  }
+
+  return result.join('\n');
+}
+
+/**
+ * Returns a filename as it is shown in error details: relative to the
+ * current directory when it is below it
+ */
+function displayName(filename) {
+  if (!path.isAbsolute(filename)) return filename;
+  const relative = path.relative(process.cwd(), filename);
+  return relative.startsWith('..') ? filename : relative;
+}
+
+/**
+ * Rewrites the frames of a stack trace that point into generated code so
+ * that they point at the original .ls files
+ * @param {string} stack - The error stack
+ * @param {Map<string, {map: object}>} files - Source maps of the generated
+ *   code, by the filename the code was executed with
+ * @returns {{stack: string, position: object|null}} - The rewritten stack and
+ *   the file and original position of the first frame in a .ls file. Frames
+ *   in code with no original position, like the runtime helpers, point at
+ *   "litescript runtime" instead
+ */
+function mapStack(stack, files) {
+  const names = [...files.keys()].filter((filename) => files.get(filename).map);
+  if (names.length === 0) return { stack, position: null };
+
+  // Longest names first, so that /a/b.ls does not match inside /x/a/b.ls
+  const alternatives = names
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  const pattern = new RegExp(`(${alternatives}):(\\d+):(\\d+)`, 'g');
+  let position = null;
+
+  const mapped = stack.replace(pattern, (match, filename, line, column) => {
+    const { map } = files.get(filename);
+    const original = originalPositionFor(map, Number(line), Number(column) - 1);
+    if (!original) return 'litescript runtime';
+    if (!position) position = { filename, ...original };
+    return `${displayName(filename)}:${original.line}:${original.column + 1}`;
+  });
+
+  return { stack: mapped, position };
+}
+
+/**
+ * Formats the details of an error raised while transpiling or running .ls
+ * files: the stack frames in those files and a code frame
+ * @param {*} error - The thrown value
+ * @param {object} options
+ * @param {string} [options.filename] - The .ls file
+ * @param {string} [options.source] - The litescript source code
+ * @param {object} [options.map] - Source map of the generated code, if the
+ *   error happened while running it
+ * @param {Map<string, {source: string, map: object}>} [options.files] - All
+ *   the .ls files involved, by filename, instead of a single file
+ * @returns {string} - The formatted details (may be empty)
+ */
+function formatError(error, { filename, source, map, files }) {
+  if (!error || typeof error !== 'object') return '';
+  if (!files) files = new Map([[filename, { source, map }]]);
+
+  // Errors from the tokenizer and parser already carry an .ls position
+  const file = files.get(error.filename || filename);
+  if (error.loc && file && !file.map) {
+    const name = displayName(error.filename || filename);
+    return `    at ${name}:${error.loc.line}:${error.loc.column + 1}\n\n${codeFrame(file.source, error.loc.line, error.loc.column)}`;
+  }
+
+  if (typeof error.stack !== 'string') return '';
+
+  const { stack, position } = mapStack(error.stack, files);
+  const shown = [...files.keys()].map(displayName);
+  const frames = stack
+    .split('\n')
+    .filter(
+      (line) => /^\s+at /.test(line) && shown.some((name) => line.includes(name))
+    );
+
+  const parts = [];
+  if (frames.length > 0) parts.push(frames.join('\n'));
+  if (position) {
+    const { source } = files.get(position.filename);
+    parts.push(codeFrame(source, position.line, position.column));
+  }
+  return parts.join('\n\n');
+}
+
+module.exports = {
+  codeFrame,
+  mapStack,
+  formatError,
+};
@@ -1,468 +1,344 @@
 /**
  * Array feature transformations
  * Handles simplified array operations for competitive programming
+ * The ones that need more than a rewrite call helpers from src/runtime.js
  */
 
+const {
+  __max, __min, __range, __compare, __sortBy, __zip, __predicate, __avg, __median, __freq, __mode,
+  __prefix, __chunk, __window, __rotate, __groupBy, __partition, __shuffle,
+} = require('../runtime');
+
 /**
- * Parses comma-separated arguments, handling nested parentheses correctly
+ * Zero-argument property transformations (arr.property or arr.property())
+ * Each one gets the code of the array and the code generator
  */
-function parseArguments(content) {
-  const args = [];
-  let current = '';
-  let depth = 0;
-
-  for (let i = 0; i < content.length; i++) {
-    const char = content[i];
-    if (char === '(') {
-      depth++;
-      current += char;
-    } else if (char === ')') {
-      depth--;
-      current += char;
-    } else if (char === ',' && depth === 0) {
-      args.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
+const PROPERTIES = {
+  sort: (arr, g) => `${arr}.sort(${g.helper(__compare)})`,
+  'sort!': (arr, g) => `${arr}.sort((a, b) => ${g.helper(__compare)}(b, a))`,
+  sortDesc: (arr, g) => `${arr}.sort((a, b) => ${g.helper(__compare)}(b, a))`,
+  sorted: (arr, g) => `[...${arr}].sort(${g.helper(__compare)})`,
+  reverse: (arr) => `${arr}.reverse()`,
+  reversed: (arr) => `[...${arr}].reverse()`,
+  unique: (arr) => `[...new Set(${arr})]`,
+  sum: (arr) => `${arr}.reduce((a,b) => a + b, 0)`,
+  max: (arr, g) => `${g.helper(__max)}(${arr})`,
+  min: (arr, g) => `${g.helper(__min)}(${arr})`,
+  len: (arr) => `${arr}.length`,
+  mul: (arr) => `${arr}.reduce((a,b) => a * b, 1)`,
+  first: (arr) => `${arr}[0]`,
+  last: (arr) => `${arr}.at(-1)`,
+  avg: (arr, g) => `${g.helper(__avg)}(${arr})`,
+  median: (arr, g) => `${g.helper(__median)}(${arr})`,
+  mode: (arr, g) => `${g.helper(__mode)}(${arr})`,
+  freq: (arr, g) => `${g.helper(__freq)}(${arr})`,
+  prefix: (arr, g) => `${g.helper(__prefix)}(${arr})`,
+  flatten: (arr) => `${arr}.flat(Infinity)`,
+  shuffle: (arr, g) => `${g.helper(__shuffle)}(${arr})`,
+};
 
-  if (current.trim()) {
-    args.push(current.trim());
-  }
+/**
+ * Transformations that take a test (arr.property(test)): a value, which
+ * matches the items equal to it, or a predicate. Each one gets the code of
+ * the array, a function that returns the code of the test, turned
+ * around when passed true, and the code generator
+ */
+const METHODS = {
+  'filter!': (arr, test) => `${arr}.filter(${test(true)})`,
+  filter: (arr, test) => `${arr}.filter(${test()})`,
+  'count!': (arr, test) => `${arr}.filter(${test(true)}).length`,
+  count: (arr, test) => `${arr}.filter(${test()}).length`,
+  all: (arr, test) => `${arr}.every(${test()})`,
+  any: (arr, test) => `${arr}.some(${test()})`,
+  none: (arr, test) => `(!${arr}.some(${test()}))`,
+  find: (arr, test) => `${arr}.find(${test()})`,
+  findIndex: (arr, test) => `${arr}.findIndex(${test()})`,
+  partition: (arr, test, g) => `${g.helper(__partition)}(${arr}, ${test()})`,
+};
+
+/**
+ * Transformations that take any one argument (arr.property(n)), with an
+ * example of each for error messages. Each one gets the code of the array,
+ * the code of the argument and the code generator
+ */
+const ARGUMENTS = {
+  chunk: (arr, arg, g) => `${g.helper(__chunk)}(${arr}, ${arg})`,
+  window: (arr, arg, g) => `${g.helper(__window)}(${arr}, ${arg})`,
+  rotate: (arr, arg, g) => `${g.helper(__rotate)}(${arr}, ${arg})`,
+  groupBy: (arr, arg, g) => `${g.helper(__groupBy)}(${arr}, ${arg})`,
+  sortBy: (arr, arg, g) => `${g.helper(__sortBy)}(${arr}, ${arg}, ${g.helper(__compare)})`,
+};
+const EXAMPLES = {
+  chunk: '.chunk(2)',
+  window: '.window(3)',
+  rotate: '.rotate(1)',
+  groupBy: '.groupBy(x -> x.type)',
+  sortBy: '.sortBy(x -> x.age)',
+};
+
+// Methods that test whether items are truthy when called without a test
+const OPTIONAL_TEST = new Set(['all', 'any', 'none']);
+
+// Sugar used as a property or with no arguments only where the object is
+// known to be an array, since other objects often have fields or methods
+// with these names: person.first, stats.mode, events.first()
+const ARRAYS_ONLY = new Set([
+  'first', 'last', 'avg', 'median', 'mode', 'freq', 'prefix', 'flatten',
+  'shuffle', 'all', 'any', 'none',
+]);
+
+// Objects whose methods share names with sugar: Math.max, Promise.all,
+// Object.groupBy, console.count
+const BUILT_IN_OBJECTS = new Set([
+  'Math', 'Promise', 'Object', 'Map', 'Array', 'Reflect', 'JSON', 'console',
+]);
+
+// Expressions that are functions
+const FUNCTIONS = new Set([
+  'ArrowFunctionExpression',
+  'FunctionExpression',
+  'OperatorSection',
+]);
+
+/**
+ * Sugar names that are not array methods, so a call that is not sugar
+ * would fail when the program runs
+ */
+const SUGAR_ONLY = new Set(
+  [...Object.keys(PROPERTIES), ...Object.keys(METHODS), ...Object.keys(ARGUMENTS)].filter(
+    (name) => !(name in Array.prototype)
+  )
+);
+
+/**
+ * Methods that return an array when called on one
+ */
+const ARRAY_RESULTS = new Set([
+  'sort', 'reverse', 'unique', 'filter', 'filter!', 'map', 'flatMap', 'flat',
+  'slice', 'concat', 'flatten', 'shuffle', 'sort!', 'sortDesc', 'sortBy',
+]);
+
+/**
+ * Sugar that returns an array whatever it is used on
+ */
+const ALWAYS_ARRAYS = new Set([
+  'unique', 'prefix', 'chunk', 'window', 'rotate', 'partition', 'sorted',
+  'reversed',
+]);
+
+// Functions of built-in objects that return arrays: Object.keys(obj)
+const BUILT_IN_ARRAYS = {
+  Object: ['keys', 'values', 'entries'],
+  Array: ['from', 'of'],
+};
 
-  return args;
+const has = (table, name) => Object.prototype.hasOwnProperty.call(table, name);
+
+/**
+ * Checks if an argument is a plain value (not a function)
+ */
+function isSimpleArgument(node) {
+  return !FUNCTIONS.has(node.type) && node.type !== 'SpreadElement';
 }
 
 /**
- * Finds the rightmost occurrence of array property access (arr.method)
- * This helps process inner expressions first in nested calls
+ * Checks if an expression is a literal value, which cannot be a function
  */
-function findRightmostProperty(str, property) {
-  // Find the rightmost occurrence of .property
-  const escapedProperty = property.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const pattern = new RegExp(
-    `\\.\\s*${escapedProperty}(?=\\s*(?:\\(|;|,|\\]|\\)|$|\\s))`,
-    'g'
-  );
-
-  let match;
-  let lastMatch = null;
-  let lastIndex = -1;
-
-  pattern.lastIndex = 0;
-  while ((match = pattern.exec(str)) !== null) {
-    if (match.index > lastIndex) {
-      lastIndex = match.index;
-      lastMatch = match;
-    }
-  }
+function isLiteralValue(node) {
+  if (node.type === 'Literal') return node.kind !== 'regex';
+  if (node.type === 'TemplateLiteral') return true;
+  return node.type === 'UnaryExpression' && ['-', '+'].includes(node.operator) &&
+    node.argument.type === 'Literal' && node.argument.kind === 'number';
+}
 
-  if (lastMatch) {
-    // Extract the expression immediately before this .property
-    // Walk backwards from the dot to find the expression
-    const dotPos = lastMatch.index;
-    let pos = dotPos - 1;
+/**
+ * Returns the code of the function that tests items for a test argument:
+ * literal values are compared with ===, lambdas and operator sections are
+ * used as they are, and anything else is checked when the program runs,
+ * since a name can hold a value or a function
+ * @param {Generator} g - The code generator
+ * @param {object} node - The test argument
+ * @param {boolean} [negate] - Match the items the test does not
+ * @returns {string}
+ */
+function predicate(g, node, negate = false) {
+  if (isLiteralValue(node)) {
+    return `v => v ${negate ? '!==' : '==='} ${g.expression(node, g.PRECEDENCE.RELATIONAL)}`;
+  }
+  const code = g.expression(node, g.PRECEDENCE.ASSIGNMENT);
+  if (FUNCTIONS.has(node.type) && !negate) return code;
+  return `${g.helper(__predicate)}(${code}${negate ? ', true' : ''})`;
+}
 
-    // Skip whitespace before the dot
-    while (pos >= 0 && /\s/.test(str[pos])) {
-      pos--;
+/**
+ * Checks if an expression is known to be an array without running it: an
+ * array literal or comprehension, range(), zip(), Object.keys(), sugar like
+ * chunk(n) that always returns one, a method like sort used on one, or a
+ * variable that is only ever assigned arrays (see src/scope.js)
+ * @param {object} node - The expression
+ * @param {object} scope - The result of analyzeScopes, with the identifiers
+ *   that refer to such variables and those that refer to no variable
+ * @returns {boolean}
+ */
+function isKnownArray(node, scope) {
+  switch (node.type) {
+    case 'ArrayExpression':
+      return true;
+    case 'ComprehensionExpression':
+      return node.kind === 'array';
+    case 'Identifier':
+      return scope.arrays.has(node);
+    case 'MemberExpression': {
+      if (node.computed) return false;
+      const name = node.property.name;
+      // arr.map is a function, arr.sort the sorted array
+      if (!has(PROPERTIES, name)) return false;
+      return ALWAYS_ARRAYS.has(name) ||
+        (ARRAY_RESULTS.has(name) && isKnownArray(node.object, scope));
     }
-
-    // Now walk backwards to find where the expression starts
-    // We want to capture: identifier, or expression ending with ] or )
-    let exprEnd = pos + 1;
-    let exprStart = exprEnd;
-
-    if (pos >= 0 && (str[pos] === ']' || str[pos] === ')')) {
-      // Expression ends with bracket/paren - find matching opening
-      const closing = str[pos];
-      let depth = 1;
-      exprStart = pos;
-      pos--;
-      while (pos >= 0 && depth > 0) {
-        if (str[pos] === (closing === ']' ? '[' : '(')) {
-          depth--;
-          if (depth === 0) {
-            exprStart = pos;
-            // Check if there's more before this (like [...expr])
-            if (pos > 2 && str.substring(pos - 3, pos) === '[...') {
-              exprStart = pos - 3;
-            }
-            break;
-          }
-        } else if (str[pos] === closing) {
-          depth++;
-        }
-        pos--;
+    case 'CallExpression': {
+      const callee = node.callee;
+      if (callee.type === 'Identifier') {
+        return ['range', 'zip'].includes(callee.name) && scope.free.has(callee);
       }
-    } else {
-      // Regular identifier - walk backwards to find its start
-      // Stop at operators, assignment, or other non-identifier characters
-      while (pos >= 0 && /[\w$]/.test(str[pos])) {
-        pos--;
+      if (callee.type !== 'MemberExpression' || callee.computed) return false;
+      const name = callee.property.name;
+      const object = callee.object;
+      if (object.type === 'Identifier' && has(BUILT_IN_ARRAYS, object.name)) {
+        return scope.free.has(object) && BUILT_IN_ARRAYS[object.name].includes(name);
       }
-      exprStart = pos + 1;
+      return ALWAYS_ARRAYS.has(name) || (ARRAY_RESULTS.has(name) && isKnownArray(object, scope));
     }
+    default:
+      return false;
+  }
+}
 
-    // Skip any whitespace before the expression, but stop at operators/assignment
-    // Important: exprStart currently points to the first char of identifier
-    // We want to include whitespace before it, but stop at operators
-    let finalStart = exprStart;
-    while (finalStart > 0 && /\s/.test(str[finalStart - 1])) {
-      finalStart--;
-    }
-    // If there's an operator before the whitespace, don't skip it
-    if (
-      finalStart > 0 &&
-      /[=+\-*\/<>!&|?:,;\[\{\(]/.test(str[finalStart - 1])
-    ) {
-      // Operator found - expression starts after it (don't include whitespace after operator)
-      finalStart = exprStart; // Keep original start
-    }
-    exprStart = finalStart;
+/**
+ * Checks if an expression is a built-in object like Math, or a module the
+ * program imports or requires, whose methods are never sugar
+ */
+function isLibrary(g, node) {
+  return isBuiltInObject(node) || (node.type === 'Identifier' && g.modules.has(node.name));
+}
+
+/**
+ * Checks if an expression is a built-in object like Math, whose methods
+ * are never sugar
+ */
+function isBuiltInObject(node) {
+  return node.type === 'Identifier' && BUILT_IN_OBJECTS.has(node.name);
+}
 
-    const arrExpr = str.substring(exprStart, exprEnd).trim();
-    return { index: exprStart, arrExpr };
+/**
+ * Checks if an expression can be written twice: a name or its properties
+ */
+function isPlainReference(node) {
+  if (node.type === 'Identifier') return true;
+  return node.type === 'MemberExpression' && !node.computed && isPlainReference(node.object);
+}
+
+/**
+ * Generates sugar on the array expression object; after ?. the result is
+ * undefined when the array is null or undefined, like a method call
+ */
+function sugar(g, object, optional, build) {
+  const arr = g.expression(object, g.PRECEDENCE.CALL);
+  if (!optional) return build(arr);
+  if (!isPlainReference(object)) {
+    throw g.error('Array sugar after "?." needs a name before it, like items?.sum', object);
+  }
+  return `(${arr} == null ? undefined : ${build(arr)})`;
+}
+
+/**
+ * Generates array sugar used as a property: arr.sum, arr.len, ...
+ * @param {Generator} g - The code generator
+ * @param {object} node - The MemberExpression node
+ * @returns {string|null} - The generated code, or null if this isn't sugar
+ */
+function generateArrayProperty(g, node) {
+  if (node.computed) return null;
+  // Math.max and Math.min are the functions themselves
+  if (isLibrary(g, node.object)) return null;
+
+  const name = node.property.name;
+  if (ARRAYS_ONLY.has(name) && !isKnownArray(node.object, g.scope)) return null;
+  if (has(PROPERTIES, name)) {
+    return sugar(g, node.object, node.optional, (arr) => PROPERTIES[name](arr, g));
+  }
+  // arr.all is arr.all(): whether the items are truthy
+  if (OPTIONAL_TEST.has(name)) {
+    return sugar(g, node.object, node.optional, (arr) => METHODS[name](arr, () => 'Boolean', g));
+  }
+  if (name.endsWith('!')) {
+    throw g.error(`".${name}" needs a value, as in .${name}(x)`, node.property);
   }
   return null;
 }
 
 /**
- * Transforms array operations in the source code
- * Handles nested function calls by applying transformations from inside-out
- * @param {string} source - The source code to transform
- * @returns {string} - The transformed code
+ * Generates array sugar used as a call: arr.filter(2), arr.sum(), range(0, 5),
+ * zip(a, b)
+ * A call of a sugar name that is not sugar, like [1, 2].sum(3), is an error
+ * when the object is known to be an array, since arrays have no such method.
+ * Calls on a built-in object or a module, like _.chunk(items, 2), are
+ * never sugar
+ * @param {Generator} g - The code generator
+ * @param {object} node - The CallExpression node
+ * @returns {string|null} - The generated code, or null if this isn't sugar
  */
-function transformArrays(source) {
-  let output = source;
-  let changed = true;
-  const maxPasses = 100; // Prevent infinite loops
-  let pass = 0;
-
-  // Unified array of all transformations
-  // type: 'property' for arr.property, 'standalone' for function calls
-  // argCount: number of arguments (or array for multiple valid counts)
-  // replacement: function that takes appropriate arguments
-  const transformations = [
-    // Zero-argument property transformations (arr.property)
-    {
-      name: 'sort',
-      type: 'property',
-      argCount: 0,
-      replacement: (arrExpr) => `${arrExpr}.sort((a,b)=>a-b)`,
-    },
-    {
-      name: 'reverse',
-      type: 'property',
-      argCount: 0,
-      replacement: (arrExpr) => `${arrExpr}.reverse()`,
-    },
-    {
-      name: 'unique',
-      type: 'property',
-      argCount: 0,
-      replacement: (arrExpr) => `[...new Set(${arrExpr})]`,
-    },
-    {
-      name: 'sum',
-      type: 'property',
-      argCount: 0,
-      replacement: (arrExpr) => `${arrExpr}.reduce((a,b) => a + b, 0)`,
-    },
-    {
-      name: 'max',
-      type: 'property',
-      argCount: 0,
-      replacement: (arrExpr) => `Math.max(...${arrExpr})`,
-    },
-    {
-      name: 'min',
-      type: 'property',
-      argCount: 0,
-      replacement: (arrExpr) => `Math.min(...${arrExpr})`,
-    },
-    {
-      name: 'len',
-      type: 'property',
-      argCount: 0,
-      replacement: (arrExpr) => `${arrExpr}.length`,
-    },
-    {
-      name: 'mul',
-      type: 'property',
-      argCount: 0,
-      replacement: (arrExpr) => `${arrExpr}.reduce((a,b) => a * b, 1)`,
-    },
-    // One-argument property transformations (arr.property(value))
-    {
-      name: 'filter!',
-      type: 'property',
-      argCount: 1,
-      replacement: (arrExpr, value) => `${arrExpr}.filter(v => v !== ${value})`,
-    },
-    {
-      name: 'filter',
-      type: 'property',
-      argCount: 1,
-      replacement: (arrExpr, value) => `${arrExpr}.filter(v => v === ${value})`,
-    },
-    {
-      name: 'count!',
-      type: 'property',
-      argCount: 1,
-      replacement: (arrExpr, value) =>
-        `${arrExpr}.filter(v => v !== ${value}).length`,
-    },
-    {
-      name: 'count',
-      type: 'property',
-      argCount: 1,
-      replacement: (arrExpr, value) =>
-        `${arrExpr}.filter(v => v === ${value}).length`,
-    },
-    // Standalone function transformations (range(x, y) or range(x, y, increment))
-    {
-      name: 'range',
-      type: 'standalone',
-      argCount: [2, 3], // Can accept 2 or 3 arguments
-      replacement: (args) => {
-        if (args.length === 3) {
-          // range(x, y, increment)
-          const absIncrement = `Math.abs(${args[2]})`;
-          return `((${args[0]}) < (${args[1]}) ? Array.from({ length: Math.ceil((((${args[1]}) - (${args[0]})) / ${absIncrement})) }, (_, i) => (+${args[0]}) + i * ${absIncrement}) : Array.from({ length: Math.ceil((((${args[0]}) - (${args[1]})) / ${absIncrement})) }, (_, i) => (+${args[0]}) - i * ${absIncrement}))`;
-        } else if (args.length === 2) {
-          // range(x, y) - backward compatibility
-          return `((${args[0]}) < (${args[1]}) ? Array.from({ length: (${args[1]}) - (${args[0]}) }, (_, i) => (+${args[0]}) + i) : Array.from({ length: (${args[0]}) - (${args[1]}) }, (_, i) => (+${args[0]}) - i))`;
-        }
-        return null; // Explicit return for invalid arg counts
-      },
-    },
-  ];
-
-  // Helper function to check if argument count matches
-  function matchesArgCount(actualCount, expectedCount) {
-    if (Array.isArray(expectedCount)) {
-      return expectedCount.includes(actualCount);
+function generateArrayCall(g, node) {
+  const callee = node.callee;
+  const args = node.arguments;
+
+  // A range or zip defined or imported by the program is called as it is
+  const builtIn = callee.type === 'Identifier' && g.scope.free.has(callee);
+
+  if (builtIn && callee.name === 'range') {
+    if ((args.length === 2 || args.length === 3) && args.every(isSimpleArgument)) {
+      return `${g.helper(__range)}(${g.args(args)})`;
     }
-    return actualCount === expectedCount;
+    return null;
   }
 
-  // Helper function to check if arguments are simple (not functions)
-  function areSimpleArgs(args) {
-    // For standalone functions with 0 args, we still want to allow them
-    // (though range requires at least 2 args, this is more general)
-    if (args.length === 0) return false;
-    return args.every(
-      (arg) => !arg.includes('=>') && !arg.includes('function')
-    );
+  if (builtIn && callee.name === 'zip') {
+    return `${g.helper(__zip)}(${g.args(args)})`;
   }
 
-  // Apply transformations in multiple passes to handle nesting
-  while (changed && pass < maxPasses) {
-    pass++;
-    changed = false;
-
-    // Collect all matches from all transformations
-    const allMatches = [];
-
-    // Process all transformations in a single loop
-    for (const transform of transformations) {
-      if (transform.type === 'standalone') {
-        // Handle standalone function calls (e.g., range(x, y, increment))
-        // Create a new pattern each time to avoid state issues
-        const pattern = new RegExp(
-          `\\b${transform.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\(`,
-          'g'
-        );
-        const matches = [];
-        // Reset lastIndex and find all matches
-        pattern.lastIndex = 0;
-        let m;
-        while ((m = pattern.exec(output)) !== null) {
-          matches.push(m);
-          // Prevent infinite loop on zero-length matches
-          if (m[0].length === 0) {
-            pattern.lastIndex++;
-          }
-        }
-
-        // Process from right to left (rightmost first)
-        for (let i = matches.length - 1; i >= 0; i--) {
-          const funcMatch = matches[i];
-          const funcStartPos = funcMatch.index;
-
-          // Find matching closing parenthesis
-          let pos = funcStartPos + funcMatch[0].length;
-          let depth = 1;
-          let inString = false;
-          let stringChar = '';
-          let funcEndPos = pos;
-
-          while (pos < output.length && depth > 0) {
-            const char = output[pos];
-            if (!inString) {
-              if (char === '"' || char === "'" || char === '`') {
-                inString = true;
-                stringChar = char;
-              } else if (char === '(' || char === '[' || char === '{') {
-                depth++;
-              } else if (char === ')' || char === ']' || char === '}') {
-                depth--;
-                if (depth === 0) {
-                  funcEndPos = pos + 1;
-                  break;
-                }
-              }
-            } else {
-              if (char === stringChar) {
-                inString = false;
-              }
-            }
-            pos++;
-          }
-
-          if (depth === 0) {
-            const argsStr = output.substring(
-              funcStartPos + funcMatch[0].length,
-              funcEndPos - 1
-            );
-            const args = parseArguments(argsStr);
-
-            if (
-              matchesArgCount(args.length, transform.argCount) &&
-              areSimpleArgs(args)
-            ) {
-              const replacement = transform.replacement(args);
-              if (replacement) {
-                allMatches.push({
-                  start: funcStartPos,
-                  end: funcEndPos,
-                  replacement,
-                });
-                break; // Only process rightmost match for this transform
-              }
-            }
-          }
-        }
-      } else {
-        // Handle property transformations (arr.property)
-        const propMatch = findRightmostProperty(output, transform.name);
-        if (propMatch) {
-          // Skip if arrExpr is already a transformed expression (starts with [...)
-          if (propMatch.arrExpr.trim().startsWith('[...')) {
-            continue;
-          }
-
-          const patternToMatch = `${propMatch.arrExpr.replace(
-            /[.*+?^${}()|[\]\\]/g,
-            '\\$&'
-          )}\\s*\\.\\s*${transform.name.replace(
-            /[.*+?^${}()|[\]\\]/g,
-            '\\$&'
-          )}`;
-          const fullMatch = output
-            .substring(propMatch.index)
-            .match(new RegExp(`^${patternToMatch}`));
-
-          if (fullMatch) {
-            const afterProperty = output.substring(
-              propMatch.index + fullMatch[0].length
-            );
-
-            if (transform.argCount === 0) {
-              // Zero-argument property (arr.property or arr.property())
-              let shouldTransform = false;
-              if (!afterProperty || /^\s/.test(afterProperty)) {
-                const parenMatch = afterProperty.match(/^\s*\(([^)]*)\)/);
-                if (parenMatch && !parenMatch[1].trim()) {
-                  shouldTransform = true;
-                } else if (!parenMatch || !parenMatch[0]) {
-                  shouldTransform = true;
-                }
-              } else {
-                const firstChar = afterProperty[0];
-                if (firstChar === '(') {
-                  const parenMatch = afterProperty.match(/^\s*\(([^)]*)\)/);
-                  if (parenMatch && !parenMatch[1].trim()) {
-                    shouldTransform = true;
-                  }
-                } else if (
-                  firstChar === ';' ||
-                  firstChar === ',' ||
-                  firstChar === ']' ||
-                  firstChar === ')'
-                ) {
-                  shouldTransform = true;
-                }
-              }
-
-              if (shouldTransform) {
-                const dotPos = output.indexOf('.', propMatch.index);
-                const endPos =
-                  dotPos !== -1
-                    ? dotPos + 1 + transform.name.length
-                    : propMatch.index + fullMatch[0].length;
-                const hasEmptyParens = afterProperty.match(/^\s*\(\)/);
-                const finalEndPos = hasEmptyParens
-                  ? endPos + hasEmptyParens[0].length
-                  : endPos;
-
-                const replacement = transform.replacement(propMatch.arrExpr);
-                allMatches.push({
-                  start: propMatch.index,
-                  end: finalEndPos,
-                  replacement,
-                });
-              }
-            } else {
-              // One-argument property (arr.property(value))
-              const parenMatch = afterProperty.match(/^\s*\(([^)]+)\)/);
-              if (parenMatch) {
-                const args = parseArguments(parenMatch[1]);
-                if (
-                  matchesArgCount(args.length, transform.argCount) &&
-                  areSimpleArgs(args)
-                ) {
-                  const replacement = transform.replacement(
-                    propMatch.arrExpr,
-                    args[0]
-                  );
-                  allMatches.push({
-                    start: propMatch.index,
-                    end:
-                      propMatch.index +
-                      fullMatch[0].length +
-                      parenMatch[0].length,
-                    replacement,
-                  });
-                }
-              }
-            }
-          }
-        }
-      }
-    }
+  if (callee.type !== 'MemberExpression' || callee.computed || node.optional) {
+    return null;
+  }
+  if (isLibrary(g, callee.object)) return null;
 
-    // Find the absolute rightmost match across all transformations
-    if (allMatches.length > 0) {
-      // Sort by start index descending to get rightmost
-      allMatches.sort((a, b) => b.start - a.start);
-      const rightmostMatch = allMatches[0];
-
-      if (rightmostMatch && rightmostMatch.replacement) {
-        output =
-          output.substring(0, rightmostMatch.start) +
-          rightmostMatch.replacement +
-          output.substring(rightmostMatch.end);
-        changed = true;
-      }
-    }
+  const name = callee.property.name;
+  const known = isKnownArray(callee.object, g.scope);
+  if (has(PROPERTIES, name) && args.length === 0 && (known || !ARRAYS_ONLY.has(name))) {
+    return sugar(g, callee.object, callee.optional, (arr) => PROPERTIES[name](arr, g));
   }
 
-  return output;
+  const test = args.length === 1 && args[0].type !== 'SpreadElement' ? args[0] : null;
+  if (has(ARGUMENTS, name) && test) {
+    const arg = g.expression(test, g.PRECEDENCE.ASSIGNMENT);
+    return sugar(g, callee.object, callee.optional, (arr) => ARGUMENTS[name](arr, arg, g));
+  }
+  if (has(METHODS, name) && (test || (OPTIONAL_TEST.has(name) && args.length === 0))) {
+    return sugar(g, callee.object, callee.optional, (arr) =>
+      METHODS[name](arr, (negate) => (test ? predicate(g, test, negate) : 'Boolean'), g)
+    );
+  }
+
+  if (name.endsWith('!') || (SUGAR_ONLY.has(name) && known)) {
+    let usage = `takes one value or predicate, as in .${name}(x) or .${name}(x -> x > 0)`;
+    if (has(PROPERTIES, name)) usage = `takes no arguments, as in .${name}`;
+    if (has(ARGUMENTS, name)) usage = `takes one argument, as in ${EXAMPLES[name]}`;
+    throw g.error(`".${name}" ${usage}`, callee.property);
+  }
+  return null;
 }
 
 module.exports = {
-  transformArrays,
+  isKnownArray,
+  generateArrayProperty,
+  generateArrayCall,
 };
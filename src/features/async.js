@@ -0,0 +1,131 @@
+/**
+ * Async feature - async functions, async lambdas and await
+ *   async load(path):
+ *       text = await fs.promises.readFile(path, "utf8")
+ *       JSON.parse(text)
+ *   fetchAll = async urls -> await Promise.all(urls.map(fetch))
+ * await also works at the top level of a file
+ */
+
+const { syntaxError } = require('../tokenizer');
+
+const FUNCTIONS = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+]);
+
+/**
+ * Checks if "async" starts an async lambda or arrow function:
+ * async x -> ..., async (a, b) -> ...
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isAsyncArrow(p) {
+  if (!p.isName('async')) return false;
+  const isArrow = (offset) => p.isPunct('->', offset) || p.isPunct('=>', offset);
+  if (p.is('name', undefined, 1)) return isArrow(2);
+  if (!p.isPunct('(', 1)) return false;
+  const closing = p.findClosing(1);
+  return closing !== -1 && isArrow(closing + 1);
+}
+
+/**
+ * Parses an async lambda or arrow function
+ * @param {Parser} p - The parser
+ * @returns {object} - An ArrowFunctionExpression node
+ */
+function parseAsyncArrow(p) {
+  const start = p.expect('name', 'async');
+  const arrow = p.parseAssignment();
+  return p.node(arrow.type, start, { ...arrow, async: true });
+}
+
+/**
+ * Parses an await expression: await promise
+ * @param {Parser} p - The parser
+ * @returns {object} - An AwaitExpression node
+ */
+function parseAwait(p) {
+  const start = p.expect('name', 'await');
+  const argument = p.parseUnary();
+  return p.node('AwaitExpression', start, { argument });
+}
+
+/**
+ * Checks that await is only used in async functions or at the top level
+ * @param {object} program - The Program node
+ * @returns {boolean} - Whether await is used at the top level
+ */
+function checkAwait(program) {
+  let topLevel = false;
+
+  const visit = (node, fn) => {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+      return;
+    }
+    if (node.type === 'AwaitExpression' || (node.type === 'ForOfStatement' && node.await)) {
+      if (fn && !fn.async) {
+        throw syntaxError(
+          `"${node.type === 'AwaitExpression' ? 'await' : 'for await'}" is only allowed in async functions, like: async name(args):`,
+          node.loc
+        );
+      }
+      if (!fn) topLevel = true;
+    }
+    const inner = FUNCTIONS.has(node.type) ? node : fn;
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach((item) => visit(item, inner));
+      } else {
+        visit(value, inner);
+      }
+    }
+  };
+
+  visit(program, null);
+  return topLevel;
+}
+
+/**
+ * Checks that a CommonJS module with top-level await exports nothing:
+ * modules that require it would read its exports right away, before the
+ * code after the first await has set them
+ * @param {object} program - The Program node
+ */
+function checkAwaitExports(program) {
+  const exported = program.body.find(
+    (statement) =>
+      statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+  );
+  if (exported) {
+    throw syntaxError(
+      'A CommonJS module cannot both use top-level await and export values; build it with --format esm, or move the await into an async function',
+      exported.loc
+    );
+  }
+}
+
+/**
+ * Wraps the lines of a CommonJS module that uses top-level await in an
+ * async function (the lines are generated one level deeper). Its promise
+ * is stored as module.completion, so that the lite command can wait for it
+ * and report its errors
+ * @param {string[]} lines - The generated lines
+ * @param {string} mark - Source map marker for the added lines
+ * @returns {string[]} - The wrapped lines
+ */
+function wrapTopLevelAwait(lines, mark) {
+  return [`${mark}module.completion = (async () => {`, ...lines, `${mark}})();`];
+}
+
+module.exports = {
+  isAsyncArrow,
+  parseAsyncArrow,
+  parseAwait,
+  checkAwait,
+  checkAwaitExports,
+  wrapTopLevelAwait,
+};
@@ -0,0 +1,277 @@
+/**
+ * Classes feature - class definitions with indented bodies
+ *   class Point extends Shape:
+ *       count = 0
+ *       init(x, y):
+ *           self.x = x
+ *           self.y = y
+ *       get length():
+ *           Math.hypot(self.x, self.y)
+ *       static origin():
+ *           new Point(0, 0)
+ * init becomes the constructor, self is the same as this, and assignments
+ * in the class body are fields, not variables
+ */
+
+const { parseBlock, parseInlineSuite } = require('./codeblocks');
+const { implicitReturn } = require('./functions');
+const { containsYield } = require('./generators');
+
+// Words that can come before the name of a member
+const MODIFIERS = new Set(['static', 'async', 'gen', 'get', 'set', 'proc']);
+
+/**
+ * Parses the modifiers of a member; a modifier is always followed by the
+ * name of the member, so a method can still be called get or static
+ */
+function parseModifiers(p) {
+  const modifiers = new Set();
+  while (
+    p.is('name') &&
+    MODIFIERS.has(p.peek().value) &&
+    (p.is('name', undefined, 1) ||
+      p.is('string', undefined, 1) ||
+      p.isPunct('[', 1))
+  ) {
+    modifiers.add(p.next().value);
+  }
+  return modifiers;
+}
+
+/**
+ * Parses a method or a field of a class body
+ * @param {Parser} p - The parser
+ * @returns {object} - A MethodDefinition or PropertyDefinition node
+ */
+function parseMember(p) {
+  const start = p.peek();
+  const modifiers = parseModifiers(p);
+  const { key, computed } = p.parsePropertyKey();
+  const isStatic = modifiers.has('static');
+
+  if (!p.isPunct('(')) {
+    const value = p.eatPunct('=') ? p.parseAssignment() : null;
+    const node = p.node('PropertyDefinition', start, {
+      key,
+      computed,
+      static: isStatic,
+      value,
+    });
+    p.endStatement();
+    return node;
+  }
+
+  const paramsStart = p.peek();
+  const params = p.parseParams();
+  // Python-style methods may list self first
+  if (params.length > 0 && params[0].name === 'self') {
+    params.shift();
+  }
+
+  // JavaScript-style methods have no colon: name(args) { ... }
+  if (!p.isPunct('{')) p.expectPunct(':');
+
+  let body;
+  if ((p.is('newline') && p.is('indent', undefined, 1)) || p.isPunct('{')) {
+    body = parseBlock(p);
+  } else if (!p.atStatementEnd()) {
+    body = parseInlineSuite(p);
+  } else {
+    const bodyStart = p.peek();
+    p.endStatement();
+    body = p.node('BlockStatement', bodyStart, { body: [] });
+  }
+
+  const name = !computed && key.type === 'Identifier' ? key.name : null;
+  let kind = 'method';
+  if (modifiers.has('get')) kind = 'get';
+  if (modifiers.has('set')) kind = 'set';
+  if (!isStatic && (name === 'init' || name === 'constructor')) {
+    kind = 'constructor';
+  }
+  const generator = modifiers.has('gen') || containsYield(body);
+  if ((kind === 'method' || kind === 'get') && !generator) {
+    if (!modifiers.has('proc')) implicitReturn(body);
+  }
+
+  const value = p.node('FunctionExpression', paramsStart, {
+    id: null,
+    params,
+    body,
+    async: modifiers.has('async'),
+    generator,
+  });
+  return p.node('MethodDefinition', start, {
+    key,
+    computed,
+    kind,
+    static: isStatic,
+    value,
+  });
+}
+
+/**
+ * Parses a class definition: class Name [extends Base]: + indented body
+ * A braced JavaScript class body works too
+ * @param {Parser} p - The parser
+ * @returns {object} - A ClassDeclaration node
+ */
+function parseClass(p) {
+  const start = p.expect('name', 'class');
+  const id = p.parseIdentifier();
+  const superClass = p.eat('name', 'extends') ? p.parsePostfix() : null;
+  const body = [];
+
+  if (p.eatPunct('{')) {
+    p.skipLayout();
+    while (!p.isPunct('}')) {
+      body.push(parseMember(p));
+      p.skipLayout();
+      while (p.eatPunct(';')) p.skipLayout();
+    }
+    p.expectPunct('}');
+    p.eat('newline');
+  } else {
+    p.expectPunct(':');
+    if (p.is('newline') && p.is('indent', undefined, 1)) {
+      p.next();
+      p.next();
+      while (!p.is('dedent')) {
+        if (p.eat('newline') || p.eatPunct(';')) continue;
+        body.push(parseMember(p));
+      }
+      p.expect('dedent');
+    } else {
+      p.endStatement();
+    }
+  }
+
+  const constructors = body.filter((member) => member.kind === 'constructor');
+  if (constructors.length > 1) {
+    throw p.error('A class can only have one init (constructor)', constructors[1].loc);
+  }
+
+  return p.node('ClassDeclaration', start, { id, superClass, body });
+}
+
+/**
+ * Finds how a method uses self: "direct" when only its own code (and its
+ * lambdas) do, so self can be written as this, "nested" when a function
+ * inside it does, so self has to be a variable, or null
+ */
+function selfUsage(body) {
+  let usage = null;
+
+  const visit = (node, nested) => {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+      return;
+    }
+    // A class inside the method has its own self
+    if (node.type === 'ClassDeclaration') return;
+    if (node.type === 'Identifier' && node.name === 'self') {
+      usage = nested || usage === 'nested' ? 'nested' : 'direct';
+    }
+    const inner =
+      nested ||
+      node.type === 'FunctionDeclaration' ||
+      node.type === 'FunctionExpression';
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      // Property names are not variables
+      if (key === 'property' && !node.computed) continue;
+      if (key === 'key' && !node.computed) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach((item) => visit(item, inner));
+      } else {
+        visit(value, inner);
+      }
+    }
+  };
+
+  visit(body, false);
+  return usage;
+}
+
+/**
+ * Returns the code of a member name
+ */
+function memberKey(g, member) {
+  if (member.computed) {
+    return `[${g.expression(member.key, g.PRECEDENCE.ASSIGNMENT)}]`;
+  }
+  return member.key.type === 'Identifier' ? member.key.name : member.key.raw;
+}
+
+/**
+ * Generates a method of a class
+ */
+function generateMethod(g, member) {
+  const fn = member.value;
+  const prefix = [
+    member.static ? 'static ' : '',
+    fn.async ? 'async ' : '',
+    member.kind === 'get' || member.kind === 'set' ? `${member.kind} ` : '',
+    fn.generator ? '*' : '',
+  ].join('');
+  const name = member.kind === 'constructor' ? 'constructor' : memberKey(g, member);
+  const header = `${prefix}${name}(${g.params(fn.params)})`;
+
+  const usage = selfUsage(fn.body);
+  if (fn.body.body.length === 0 && usage !== 'nested') {
+    g.line(`${header} {}`, member);
+    return;
+  }
+
+  g.line(`${header} {`, member);
+  if (usage === 'nested') {
+    g.level++;
+    g.line('const self = this;');
+    g.level--;
+  }
+  const saved = g.selfIsThis;
+  g.selfIsThis = usage === 'direct';
+  g.block(fn.body.body);
+  g.selfIsThis = saved;
+  g.line('}');
+}
+
+/**
+ * Generates a class
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ClassDeclaration node
+ */
+function generateClass(g, node) {
+  const superClass = node.superClass
+    ? ` extends ${g.expression(node.superClass, g.PRECEDENCE.CALL)}`
+    : '';
+  const header = `class ${node.id.name}${superClass}`;
+  if (node.body.length === 0) {
+    g.line(`${header} {}`, node);
+    return;
+  }
+
+  g.line(`${header} {`, node);
+  g.level++;
+  const saved = g.selfIsThis;
+  g.selfIsThis = false;
+  for (const member of node.body) {
+    if (member.type === 'MethodDefinition') {
+      generateMethod(g, member);
+      continue;
+    }
+    const prefix = member.static ? 'static ' : '';
+    const value = member.value
+      ? ` = ${g.expression(member.value, g.PRECEDENCE.ASSIGNMENT)}`
+      : '';
+    g.line(`${prefix}${memberKey(g, member)}${value};`, member);
+  }
+  g.selfIsThis = saved;
+  g.level--;
+  g.line('}');
+}
+
+module.exports = {
+  parseClass,
+  generateClass,
+};
@@ -1,116 +1,428 @@
 /**
- * Code blocks feature - adds braces based on indentation
+ * Code blocks feature - blocks based on indentation
  * Allows writing code without explicit braces, similar to Python
  */
 
 /**
- * Transforms code by adding braces based on indentation
- * @param {string} source - The source code to transform
- * @returns {string} - The transformed code with braces
- */
-function transformCodeBlocks(source) {
-  const lines = source.split('\n');
-  const result = [];
-  
-  /**
-   * Checks if a line is a control structure (for, while, if, else)
-   */
-  function isControlStructure(trimmed) {
-    // Check for else (standalone)
-    if (/^\s*else\s*$/.test(trimmed)) return true;
-    
-    // Check for for/while/if with parentheses - need to match balanced parens
-    const controlMatch = trimmed.match(/^\s*(for|while|if|else\s+if)\s*\(/);
-    if (controlMatch) {
-      // Find matching closing parenthesis
-      let depth = 0;
-      let foundOpen = false;
-      for (let i = 0; i < trimmed.length; i++) {
-        if (trimmed[i] === '(') {
-          depth++;
-          foundOpen = true;
-        } else if (trimmed[i] === ')') {
-          depth--;
-          if (foundOpen && depth === 0) {
-            // Found matching closing paren, check if this is the end (or has only whitespace)
-            const rest = trimmed.substring(i + 1).trim();
-            return rest === '' || rest === '{' || rest === '}';
-          }
-        }
+ * Parses the body of a control structure or function
+ * Either an indented block on the following lines or a braced JavaScript block
+ * A Python-style colon after the header is optional: if x > 5:
+ * After a colon, the body can also be on the same line: if x > 5: log(x)
+ * @param {Parser} p - The parser
+ * @returns {object} - A BlockStatement node
+ */
+function parseBlock(p) {
+  const colon = p.eatPunct(':');
+
+  if (p.isPunct('{')) {
+    return p.parseBracedBody();
+  }
+
+  const start = p.peek();
+  if (colon && !p.is('newline')) {
+    return parseInlineSuite(p);
+  }
+  if (!p.eat('newline') || !p.eat('indent')) {
+    throw p.error('Expected an indented block', start);
+  }
+  const body = p.parseStatements('dedent');
+  p.expect('dedent');
+  return p.node('BlockStatement', start, { body });
+}
+
+/**
+ * Parses the statements on the rest of the line, separated by semicolons:
+ * while x > 0: x -= 1; steps += 1
+ * @param {Parser} p - The parser
+ * @returns {object} - A BlockStatement node
+ */
+function parseInlineSuite(p) {
+  const start = p.peek();
+  if (p.atStatementEnd()) {
+    throw p.error('Expected a statement or an indented block', start);
+  }
+  const body = [];
+  do {
+    body.push(p.parseStatement());
+    // A semicolon that did not end the line continues the suite
+  } while (p.previous.type === 'punct' && p.previous.value === ';' && !p.atStatementEnd());
+  return p.node('BlockStatement', start, { body });
+}
+
+/**
+ * Parses an if statement with optional else if / elif / else branches
+ * The condition needs no parentheses: if x > 5
+ * @param {Parser} p - The parser
+ * @returns {object} - An IfStatement node
+ */
+function parseIf(p) {
+  const start = p.next();
+  const test = p.parseExpression();
+  const consequent = parseBlock(p);
+  let alternate = null;
+
+  // A braced block may be followed by else on the next line
+  if (p.is('newline') && (p.isName('else', 1) || p.isName('elif', 1))) {
+    p.next();
+  }
+
+  if (p.isName('elif')) {
+    // elif is the same as else if
+    alternate = parseIf(p);
+  } else if (p.eat('name', 'else')) {
+    alternate = p.isName('if') ? parseIf(p) : parseBlock(p);
+  }
+
+  return p.node('IfStatement', start, { test, consequent, alternate });
+}
+
+/**
+ * Checks if the next clause of a statement starts with one of the words;
+ * after a braced block it may be on the next line
+ */
+function isClause(p, ...words) {
+  if (p.is('newline') && words.some((word) => p.isName(word, 1))) p.next();
+  return words.some((word) => p.isName(word));
+}
+
+/**
+ * Parses the error types and name of an except clause
+ *   except:                      any error
+ *   except err:                  any error, as err
+ *   except TypeError:            a TypeError (types start with a capital)
+ *   except TypeError as err:     a TypeError, as err
+ *   except (TypeError, RangeError) as err
+ * catch (err) works like except err
+ */
+function parseHandler(p) {
+  const start = p.next();
+  const types = [];
+  let param = null;
+
+  if (start.value === 'catch') {
+    if (p.eatPunct('(')) {
+      param = p.parseIdentifier();
+      p.expectPunct(')');
+    }
+    return { start, types, param };
+  }
+
+  const parenthesized = Boolean(p.eatPunct('('));
+  while (p.is('name')) {
+    types.push(p.parsePostfix());
+    if (!p.eatPunct(',')) break;
+  }
+  if (parenthesized) p.expectPunct(')');
+
+  if (p.eat('name', 'as')) {
+    param = p.parseIdentifier();
+  } else if (
+    !parenthesized &&
+    types.length === 1 &&
+    types[0].type === 'Identifier' &&
+    !/^[A-Z]/.test(types[0].name)
+  ) {
+    // except err: catches everything
+    param = types.pop();
+  }
+  return { start, types, param };
+}
+
+/**
+ * Parses a try statement with except, else and finally clauses
+ * @param {Parser} p - The parser
+ * @returns {object} - A TryStatement node
+ */
+function parseTry(p) {
+  const start = p.expect('name', 'try');
+  const block = parseBlock(p);
+  const handlers = [];
+  let orelse = null;
+  let finalizer = null;
+
+  while (isClause(p, 'except', 'catch')) {
+    const last = handlers[handlers.length - 1];
+    if (last && last.types.length === 0) {
+      throw p.error('An except without error types catches everything, so it must be the last one');
+    }
+    const { start: handlerStart, types, param } = parseHandler(p);
+    const body = parseBlock(p);
+    handlers.push(p.node('CatchClause', handlerStart, { types, param, body }));
+  }
+  if (handlers.length > 0 && isClause(p, 'else')) {
+    p.next();
+    orelse = parseBlock(p);
+  }
+  if (isClause(p, 'finally')) {
+    p.next();
+    finalizer = parseBlock(p);
+  }
+  if (handlers.length === 0 && !finalizer) {
+    throw p.error('"try" needs an "except" or a "finally"', start);
+  }
+
+  return p.node('TryStatement', start, { block, handlers, orelse, finalizer });
+}
+
+/**
+ * Parses a raise statement: raise error, or raise alone in an except
+ * clause to raise the caught error again
+ * @param {Parser} p - The parser
+ * @returns {object} - A RaiseStatement node
+ */
+function parseRaise(p) {
+  const start = p.expect('name', 'raise');
+  const argument = p.atStatementEnd() ? null : p.parseExpression();
+  const node = p.node('RaiseStatement', start, { argument });
+  p.endStatement();
+  return node;
+}
+
+/**
+ * Parses a JavaScript switch statement:
+ * switch (value) { case 1: ...; break; default: ... }
+ * @param {Parser} p - The parser
+ * @returns {object} - A SwitchStatement node
+ */
+function parseSwitch(p) {
+  const start = p.expect('name', 'switch');
+  const discriminant = p.parseExpression();
+  p.expectPunct('{');
+  const cases = [];
+  while (!p.isPunct('}')) {
+    if (p.eat('newline') || p.eatPunct(';')) continue;
+    const caseStart = p.peek();
+    let test = null;
+    if (p.eat('name', 'case')) {
+      test = p.parseExpression();
+    } else if (!p.eat('name', 'default')) {
+      throw p.error('Expected "case" or "default" inside a switch block');
+    }
+    p.expectPunct(':');
+    let consequent;
+    if (p.is('newline') && p.is('indent', undefined, 1)) {
+      consequent = parseBlock(p);
+    } else {
+      // The statements run until the next case
+      const bodyStart = p.peek();
+      const body = [];
+      while (!p.isName('case') && !p.isName('default') && !p.isPunct('}')) {
+        if (p.is('eof')) throw p.unexpected();
+        if (p.eat('newline') || p.eatPunct(';')) continue;
+        body.push(p.parseStatement());
       }
+      consequent = p.node('BlockStatement', bodyStart, { body });
+    }
+    cases.push(p.node('SwitchCase', caseStart, { test, consequent }));
+  }
+  p.expectPunct('}');
+  return p.node('SwitchStatement', start, { discriminant, cases });
+}
+
+/**
+ * Generates a block statement
+ * @param {Generator} g - The code generator
+ * @param {object} node - The BlockStatement node
+ */
+function generateBlock(g, node) {
+  g.line('{', node);
+  g.block(node.body);
+  g.line('}');
+}
+
+/**
+ * Generates an if statement, chaining else if branches
+ * @param {Generator} g - The code generator
+ * @param {object} node - The IfStatement node
+ * @param {string} [prefix] - Text written before "if" (used for else if)
+ */
+function generateIf(g, node, prefix = '') {
+  g.line(`${prefix}if (${g.expression(node.test)}) {`, node);
+  g.block(node.consequent.body);
+
+  const alternate = node.alternate;
+  if (alternate && alternate.type === 'IfStatement') {
+    generateIf(g, alternate, '} else ');
+    return;
+  }
+  if (alternate) {
+    g.line('} else {');
+    g.block(alternate.body);
+  }
+  g.line('}');
+}
+
+/**
+ * Generates the catch block of a try statement: an if / else if chain over
+ * the except clauses that raises errors no clause matches again
+ */
+function generateHandlers(g, node) {
+  const handlers = node.handlers;
+  const names = new Set(handlers.filter(({ param }) => param).map(({ param }) => param.name));
+  const error = names.size === 1 ? [...names][0] : g.temp('error');
+  const saved = g.caughtError;
+  g.caughtError = error;
+
+  const body = (handler) => {
+    if (handler.param && handler.param.name !== error) {
+      g.level++;
+      g.line(`let ${handler.param.name} = ${error};`);
+      g.level--;
     }
-    
-    // Check for if statements without parentheses (after loops transformation)
-    // Pattern: if condition (where condition doesn't start with '(')
-    const ifMatch = trimmed.match(/^\s*if\s+(.+)$/);
-    if (ifMatch && !trimmed.includes('(')) {
-      // Make sure it's not already a complete statement (ends with semicolon or brace)
-      const condition = ifMatch[1].trim();
-      if (!condition.endsWith(';') && !condition.endsWith('{') && !condition.endsWith('}')) {
-        return true;
+    g.block(handler.body.body);
+  };
+
+  const only = handlers.length === 1 && handlers[0].types.length === 0;
+  if (only && !handlers[0].param && !containsRaise(handlers[0].body)) {
+    g.line('} catch {', handlers[0]);
+    g.block(handlers[0].body.body);
+  } else if (only) {
+    g.line(`} catch (${error}) {`, handlers[0]);
+    body(handlers[0]);
+  } else {
+    g.line(`} catch (${error}) {`, handlers[0]);
+    g.level++;
+    handlers.forEach((handler, index) => {
+      if (handler.types.length === 0) {
+        g.line('} else {', handler);
+      } else {
+        const test = handler.types
+          .map((type) => `${error} instanceof ${g.expression(type, g.PRECEDENCE.RELATIONAL + 1)}`)
+          .join(' || ');
+        g.line(`${index === 0 ? '' : '} else '}if (${test}) {`, handler);
       }
+      body(handler);
+    });
+    if (handlers[handlers.length - 1].types.length > 0) {
+      g.line('} else {');
+      g.level++;
+      g.line(`throw ${error};`);
+      g.level--;
     }
-    
+    g.line('}');
+    g.level--;
+  }
+  g.caughtError = saved;
+}
+
+/**
+ * Checks if a block uses raise without a value (outside nested functions)
+ */
+function containsRaise(node) {
+  if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
     return false;
   }
-  
-  // Stack to track indentation levels and whether we need closing braces
-  const indentStack = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-    
-    // Skip empty lines
-    if (trimmed === '') {
-      result.push(line);
+  if (node.type === 'RaiseStatement') return !node.argument;
+  if (node.type === 'TryStatement') {
+    // The except clauses of a nested try raise their own error
+    return [node.block, node.orelse, node.finalizer].some(containsRaise);
+  }
+  return Object.keys(node).some((key) => {
+    if (key === 'loc') return false;
+    const value = node[key];
+    return Array.isArray(value) ? value.some(containsRaise) : containsRaise(value);
+  });
+}
+
+/**
+ * Generates a try statement
+ * The else clause runs when the try block finished without an error; its
+ * own errors are not handled by the except clauses
+ * @param {Generator} g - The code generator
+ * @param {object} node - The TryStatement node
+ */
+function generateTry(g, node) {
+  if (node.orelse && node.finalizer) {
+    // try/finally around the rest
+    g.line('try {', node);
+    g.level++;
+    generateTry(g, { ...node, finalizer: null });
+    g.level--;
+    g.line('} finally {', node.finalizer);
+    g.block(node.finalizer.body);
+    g.line('}');
+    return;
+  }
+
+  const ok = node.orelse ? g.temp('ok') : null;
+  if (ok) g.line(`let ${ok} = false;`, node);
+  g.line('try {', node);
+  g.block(node.block.body);
+  if (ok) {
+    g.level++;
+    g.line(`${ok} = true;`);
+    g.level--;
+  }
+  if (node.handlers.length > 0) generateHandlers(g, node);
+  if (node.finalizer) {
+    g.line('} finally {', node.finalizer);
+    g.block(node.finalizer.body);
+  }
+  g.line('}');
+  if (ok) {
+    g.line(`if (${ok}) {`, node.orelse);
+    g.block(node.orelse.body);
+    g.line('}');
+  }
+}
+
+/**
+ * Generates a switch statement; the statements of each case go in a
+ * block, which still falls through to the next case
+ * @param {Generator} g - The code generator
+ * @param {object} node - The SwitchStatement node
+ */
+function generateSwitch(g, node) {
+  g.line(`switch (${g.expression(node.discriminant)}) {`, node);
+  g.level++;
+  // A break inside leaves the switch, not a loop around it
+  const saved = g.breakTarget;
+  g.breakTarget = null;
+  for (const arm of node.cases) {
+    const label = arm.test ? `case ${g.expression(arm.test)}:` : 'default:';
+    let body = arm.consequent.body;
+    if (body.length === 0) {
+      g.line(label, arm);
       continue;
     }
-    
-    // Calculate indentation (spaces or tabs)
-    const indentMatch = line.match(/^(\s*)/);
-    const currentIndent = indentMatch ? indentMatch[1].length : 0;
-    
-    // Close braces for any levels we've exited
-    while (indentStack.length > 0 && indentStack[indentStack.length - 1].indent >= currentIndent) {
-      const { indent } = indentStack.pop();
-      result.push(' '.repeat(indent) + '}');
-    }
-    
-    // Check if this line is a control structure without a brace
-    const needsBrace = isControlStructure(trimmed) && !trimmed.endsWith('{') && !trimmed.endsWith('}');
-    if (needsBrace) {
-      // Check if next line has more indentation (indicating a block)
-      if (i + 1 < lines.length) {
-        const nextLine = lines[i + 1];
-        const nextTrimmed = nextLine.trim();
-        if (nextTrimmed !== '') {
-          const nextIndentMatch = nextLine.match(/^(\s*)/);
-          const nextIndent = nextIndentMatch ? nextIndentMatch[1].length : 0;
-          
-          // If next line is more indented, add opening brace
-          if (nextIndent > currentIndent) {
-            result.push(line + ' {');
-            indentStack.push({ indent: currentIndent });
-            continue;
-          }
-        }
-      }
-    }
-    
-    // Regular line - just add it
-    result.push(line);
-  }
-  
-  // Close any remaining open blocks
-  while (indentStack.length > 0) {
-    const { indent } = indentStack.pop();
-    result.push(' '.repeat(indent) + '}');
-  }
-  
-  return result.join('\n');
+    // case 1: { ... } already has its block
+    if (body.length === 1 && body[0].type === 'BlockStatement') body = body[0].body;
+    g.line(`${label} {`, arm);
+    g.block(body);
+    g.line('}');
+  }
+  g.breakTarget = saved;
+  g.level--;
+  g.line('}');
+}
+
+/**
+ * Generates a raise statement as a throw
+ * @param {Generator} g - The code generator
+ * @param {object} node - The RaiseStatement node
+ */
+function generateRaise(g, node) {
+  if (node.argument) {
+    g.line(`throw ${g.expression(node.argument)};`, node);
+    return;
+  }
+  if (!g.caughtError) {
+    throw g.error('"raise" without an error is only allowed in an except clause', node);
+  }
+  g.line(`throw ${g.caughtError};`, node);
 }
 
 module.exports = {
-  transformCodeBlocks,
+  isClause,
+  parseBlock,
+  parseInlineSuite,
+  parseIf,
+  parseTry,
+  parseRaise,
+  parseSwitch,
+  generateBlock,
+  generateIf,
+  generateTry,
+  generateRaise,
+  generateSwitch,
 };
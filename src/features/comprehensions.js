@@ -0,0 +1,188 @@
+/**
+ * Comprehensions feature - arrays, Sets and objects built by loops
+ *   [x * x for x in arr if x % 2 == 0]     array
+ *   [[i, j] for i in 0..n for j in 0..i]   nested loops
+ *   {word.length for word in words}        Set
+ *   {k: v * 2 for k, v in prices}          object
+ * The for clauses are the same as the header of a for loop, ranges
+ * included, except that "for x in items" goes over the items of arrays and
+ * other iterables, like Python. Their names only exist inside the comprehension.
+ * A comprehension that uses await is awaited as a whole
+ */
+
+const { parseForHead, loopHeader } = require('./loops');
+
+// Nodes that start code of their own, where await and yield do not count
+const FUNCTIONS = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassDeclaration',
+]);
+
+/**
+ * Returns the first node of a type inside a comprehension, not counting
+ * nested functions, or null
+ */
+function findInside(node, type) {
+  if (!node || typeof node !== 'object' || typeof node.type !== 'string') return null;
+  if (node.type === type) return node;
+  if (FUNCTIONS.has(node.type)) return null;
+  for (const key of Object.keys(node)) {
+    if (key === 'loc') continue;
+    const value = node[key];
+    const found = Array.isArray(value)
+      ? value.reduce((result, item) => result || findInside(item, type), null)
+      : findInside(value, type);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Builds a ComprehensionExpression node; the loops run in an arrow
+ * function, so yield cannot reach the generator around it
+ */
+function comprehension(p, start, props) {
+  const node = p.node('ComprehensionExpression', start, props);
+  const yielded = findInside(node, 'YieldExpression');
+  if (yielded) {
+    throw p.error('"yield" cannot be used inside a comprehension; use a for loop', yielded.loc);
+  }
+  node.async = findInside(node, 'AwaitExpression') !== null;
+  return node;
+}
+
+/**
+ * Checks if an object literal is a comprehension: a "for" before the
+ * first comma or the closing brace
+ * @param {Parser} p - The parser, after the opening brace
+ * @returns {boolean}
+ */
+function isComprehension(p) {
+  let depth = 0;
+  for (let offset = 0; ; offset++) {
+    const token = p.peek(offset);
+    if (token.type === 'eof') return false;
+    if (token.type === 'indent') depth++;
+    if (token.type === 'dedent') depth--;
+    if (token.type === 'name' && token.value === 'for' && depth === 0 && offset > 0) {
+      // Not a property: {a: b.for}
+      if (!p.isPunct('.', offset - 1) && !p.isPunct('?.', offset - 1)) return true;
+    }
+    if (token.type !== 'punct') continue;
+    if (['(', '[', '{'].includes(token.value)) depth++;
+    if ([')', ']', '}'].includes(token.value)) {
+      if (depth === 0) return false;
+      depth--;
+    }
+    if (token.value === ',' && depth === 0) return false;
+  }
+}
+
+/**
+ * Parses the for and if clauses of a comprehension, up to its closing bracket
+ */
+function parseClauses(p, closing) {
+  const clauses = [];
+  while (!p.isPunct(closing)) {
+    const start = p.peek();
+    if (p.eat('name', 'for')) {
+      if (p.isName('await')) {
+        throw p.error('A comprehension cannot use "for await"');
+      }
+      const { type, props } = parseForHead(p, start, () => p.parseConditional());
+      if (type === 'ForInStatement') {
+        // Arrays written out need no check of what they are
+        const known = ['ArrayExpression', 'ComprehensionExpression'].includes(props.right.type);
+        clauses.push(p.node('ForOfStatement', start, { ...props, await: false, items: !known }));
+      } else {
+        clauses.push(p.node(type, start, props));
+      }
+    } else if (clauses.length > 0 && p.eat('name', 'if')) {
+      clauses.push(p.node('ComprehensionIf', start, { test: p.parseConditional() }));
+    } else {
+      throw p.error(`Expected "for", "if" or "${closing}" in a comprehension`);
+    }
+    p.skipLayout();
+  }
+  return clauses;
+}
+
+/**
+ * Parses the rest of an array comprehension, after its element
+ * @param {Parser} p - The parser, at the first "for"
+ * @param {object} start - The opening bracket
+ * @param {object} element - The value of each item
+ * @returns {object} - A ComprehensionExpression node
+ */
+function parseArrayComprehension(p, start, element) {
+  if (element.type === 'SpreadElement') {
+    throw p.error('A comprehension cannot spread its items', element.loc);
+  }
+  const clauses = parseClauses(p, ']');
+  p.expectPunct(']');
+  return comprehension(p, start, { kind: 'array', element, clauses });
+}
+
+/**
+ * Parses a Set comprehension {value for ...} or an object comprehension
+ * {key: value for ...}
+ * @param {Parser} p - The parser, after the opening brace
+ * @param {object} start - The opening brace
+ * @returns {object} - A ComprehensionExpression node
+ */
+function parseObjectComprehension(p, start) {
+  const first = p.parseAssignment();
+  let node;
+  if (p.eatPunct(':')) {
+    p.skipLayout();
+    const value = p.parseAssignment();
+    node = { kind: 'object', key: first, value };
+  } else {
+    node = { kind: 'set', element: first };
+  }
+  p.skipLayout();
+  node.clauses = parseClauses(p, '}');
+  p.expectPunct('}');
+  return comprehension(p, start, node);
+}
+
+/**
+ * Generates a comprehension as an arrow function that runs the loops,
+ * an async one that is awaited when the comprehension uses await
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ComprehensionExpression node
+ * @returns {string}
+ */
+function generateComprehension(g, node) {
+  const result = g.temp('result');
+  const value = (expression) => g.expression(expression, g.PRECEDENCE.ASSIGNMENT);
+
+  let initial;
+  let add;
+  if (node.kind === 'object') {
+    initial = '{}';
+    add = `${result}[${value(node.key)}] = ${value(node.value)};`;
+  } else if (node.kind === 'set') {
+    initial = 'new Set()';
+    add = `${result}.add(${value(node.element)});`;
+  } else {
+    initial = '[]';
+    add = `${result}.push(${value(node.element)});`;
+  }
+
+  const loops = node.clauses.reduceRight((body, clause) => {
+    if (clause.type === 'ComprehensionIf') return `if (${g.expression(clause.test)}) ${body}`;
+    return `${loopHeader(g, clause)} ${body}`;
+  }, add);
+  const code = `{ const ${result} = ${initial}; ${loops} return ${result}; }`;
+  return node.async ? `await (async () => ${code})()` : `(() => ${code})()`;
+}
+
+module.exports = {
+  isComprehension,
+  parseArrayComprehension,
+  parseObjectComprehension,
+  generateComprehension,
+};
@@ -0,0 +1,58 @@
+/**
+ * Decorators feature - @decorator lines above a function definition
+ *   @memo
+ *   fib(n):
+ *       n < 2 ? n : fib(n - 1) + fib(n - 2)
+ * compiles to the function followed by fib = __memo(fib), so recursive
+ * calls go through the decorator too. A decorator is any function that
+ * takes a function and returns one; memo, timed and trace are built in
+ */
+
+const { isFunctionDefinition, parseFunctionDefinition } = require('./functions');
+const { __memo, __timed, __trace } = require('../runtime');
+
+const BUILT_INS = {
+  memo: __memo,
+  timed: __timed,
+  trace: __trace,
+};
+
+/**
+ * Parses decorator lines and the function definition they decorate
+ * @param {Parser} p - The parser
+ * @returns {object} - A FunctionDeclaration node with decorators
+ */
+function parseDecorated(p) {
+  const decorators = [];
+  while (p.eatPunct('@')) {
+    decorators.push(p.parsePostfix());
+    if (!p.eat('newline')) throw p.unexpected();
+  }
+  if (!isFunctionDefinition(p)) {
+    throw p.error('A decorator must be followed by a function definition, like: name(args):');
+  }
+  const node = parseFunctionDefinition(p);
+  node.decorators = decorators;
+  return node;
+}
+
+/**
+ * Generates the assignment that applies the decorators of a function,
+ * the bottom one first
+ * @param {Generator} g - The code generator
+ * @param {object} node - The FunctionDeclaration node
+ */
+function generateDecorators(g, node) {
+  const name = node.id.name;
+  const code = node.decorators.reduceRight((inner, decorator) => {
+    const builtIn = decorator.type === 'Identifier' && BUILT_INS[decorator.name];
+    if (builtIn) return `${g.helper(builtIn)}(${inner})`;
+    return `${g.expression(decorator, g.PRECEDENCE.CALL)}(${inner})`;
+  }, name);
+  g.line(`${name} = ${code};`, node);
+}
+
+module.exports = {
+  parseDecorated,
+  generateDecorators,
+};
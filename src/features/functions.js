@@ -1,93 +1,177 @@
 /**
- * Functions feature - transforms Python-style function definitions
+ * Functions feature - Python-style function definitions
  * Converts functionName(): to function functionName() {
- * Uses indentation to determine function body and add closing braces
+ * Uses indentation to determine the function body
+ * A function returns its last expression unless it is a procedure:
+ *   double(x):
+ *       x * 2
+ *   proc greet(name):
+ *       log("Hello " + name)
+ * Lambdas are expressions: x -> x * 2, (a, b) -> a + b
  */
 
+const { parseBlock, parseInlineSuite } = require('./codeblocks');
+const { containsYield } = require('./generators');
+
+// Words that can come before the name of a function definition
+const MODIFIERS = new Set(['proc', 'async', 'gen']);
+
+/**
+ * Counts the modifiers at the start of a function definition
+ */
+function countModifiers(p) {
+  let count = 0;
+  while (
+    MODIFIERS.has(p.peek(count).value) &&
+    p.is('name', undefined, count + 1)
+  ) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Checks if the current statement is a function definition (identifier():)
+ * Examples: help():, greet(name):, calculate(a, b):, proc show(x):
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isFunctionDefinition(p) {
+  const offset = countModifiers(p);
+  const name = p.peek(offset);
+  if (
+    name.type !== 'name' ||
+    p.isReserved(name.value) ||
+    !p.isPunct('(', offset + 1)
+  ) {
+    return false;
+  }
+  const closing = p.findClosing(offset + 1);
+  return closing !== -1 && p.isPunct(':', closing + 1);
+}
+
+/**
+ * Turns the last statement of a body into a return if it is an expression
+ * @param {object} body - A BlockStatement node
+ */
+function implicitReturn(body) {
+  const statements = body.body;
+  const last = statements[statements.length - 1];
+  if (!last || last.type !== 'ExpressionStatement') return;
+  statements[statements.length - 1] = {
+    type: 'ReturnStatement',
+    argument: last.expression,
+    start: last.start,
+    end: last.end,
+    loc: last.loc,
+  };
+}
+
 /**
- * Transforms function definitions from Python-style to JavaScript
- * @param {string} source - The source code to transform
- * @returns {string} - The transformed code with function declarations
+ * Parses a Python-style function definition: name(params): + indented body
+ * A definition without an indented body gets an empty body
+ * @param {Parser} p - The parser
+ * @returns {object} - A FunctionDeclaration node
  */
-function transformFunctions(source) {
-  const lines = source.split('\n');
-  const result = [];
-  
-  /**
-   * Checks if a line is a function definition (identifier():)
-   */
-  function isFunctionDefinition(trimmed) {
-    // Match identifier followed by optional parameters and ending with ():
-    // Examples: help():, greet(name):, calculate(a, b):
-    const functionMatch = trimmed.match(/^([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(([^)]*)\)\s*:\s*$/);
-    return functionMatch !== null;
+function parseFunctionDefinition(p) {
+  const start = p.peek();
+  const modifiers = new Set();
+  for (let count = countModifiers(p); count > 0; count--) {
+    modifiers.add(p.next().value);
   }
-  
-  // Stack to track function indentations
-  const functionStack = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-    
-    // Calculate indentation (spaces or tabs)
-    const indentMatch = line.match(/^(\s*)/);
-    const currentIndent = indentMatch ? indentMatch[1].length : 0;
-    
-    // Close functions for any levels we've exited
-    while (functionStack.length > 0 && functionStack[functionStack.length - 1].indent >= currentIndent) {
-      const { indent } = functionStack.pop();
-      result.push(' '.repeat(indent) + '}');
-    }
-    
-    // Check if this line is a function definition
-    if (isFunctionDefinition(trimmed)) {
-      const functionMatch = trimmed.match(/^([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(([^)]*)\)\s*:\s*$/);
-      if (functionMatch) {
-        const functionName = functionMatch[1];
-        const params = functionMatch[2].trim();
-        
-        // Transform to function declaration
-        const indent = indentMatch ? indentMatch[1] : '';
-        const transformedLine = `${indent}function ${functionName}(${params}) {`;
-        result.push(transformedLine);
-        
-        // Check if there's a body (next line has more indentation)
-        if (i + 1 < lines.length) {
-          const nextLine = lines[i + 1];
-          const nextTrimmed = nextLine.trim();
-          if (nextTrimmed !== '') {
-            const nextIndentMatch = nextLine.match(/^(\s*)/);
-            const nextIndent = nextIndentMatch ? nextIndentMatch[1].length : 0;
-            
-            // If next line is more indented, it's part of the function body
-            if (nextIndent > currentIndent) {
-              functionStack.push({ indent: currentIndent });
-              continue;
-            }
-          }
-        }
-        
-        // No body or empty body - add closing brace immediately
-        result.push(' '.repeat(currentIndent) + '}');
-        continue;
-      }
-    }
-    
-    // Regular line - just add it
-    result.push(line);
+  const id = p.parseIdentifier();
+  const params = p.parseParams();
+  p.expectPunct(':');
+
+  let body;
+  if ((p.is('newline') && p.is('indent', undefined, 1)) || p.isPunct('{')) {
+    body = parseBlock(p);
+  } else if (!p.atStatementEnd()) {
+    // square(x): x * x
+    body = parseInlineSuite(p);
+  } else {
+    const bodyStart = p.peek();
+    p.endStatement();
+    body = p.node('BlockStatement', bodyStart, { body: [] });
+  }
+
+  // A generator yields its values instead of returning its last expression
+  const generator = modifiers.has('gen') || containsYield(body);
+  if (!modifiers.has('proc') && !generator) implicitReturn(body);
+  return p.node('FunctionDeclaration', start, {
+    id,
+    params,
+    body,
+    async: modifiers.has('async'),
+    generator,
+  });
+}
+
+/**
+ * Parses the rest of a lambda once its parameters are known
+ * The body is an expression (x -> x * 2) or an indented block on the next
+ * lines, which returns its last expression
+ * @param {Parser} p - The parser
+ * @param {object} start - The first token of the lambda
+ * @param {object[]} params - The parameter nodes
+ * @returns {object} - An ArrowFunctionExpression node
+ */
+function parseLambda(p, start, params) {
+  p.expectPunct('->');
+  let body;
+  if (p.is('newline') && p.is('indent', undefined, 1)) {
+    body = parseBlock(p);
+    implicitReturn(body);
+  } else {
+    body = p.parseAssignment();
   }
-  
-  // Close any remaining open functions
-  while (functionStack.length > 0) {
-    const { indent } = functionStack.pop();
-    result.push(' '.repeat(indent) + '}');
+  return p.node('ArrowFunctionExpression', start, { params, body, async: false });
+}
+
+/**
+ * Parses a JavaScript function declaration: [async] function[*] name(params) { ... }
+ * @param {Parser} p - The parser
+ * @returns {object} - A FunctionDeclaration node
+ */
+function parseFunctionDeclaration(p) {
+  const start = p.peek();
+  const isAsync = Boolean(p.eat('name', 'async'));
+  p.expect('name', 'function');
+  const star = Boolean(p.eatPunct('*'));
+  const id = p.parseIdentifier();
+  const params = p.parseParams();
+  const body = p.parseBracedBody();
+  return p.node('FunctionDeclaration', start, {
+    id,
+    params,
+    body,
+    async: isAsync,
+    generator: star || containsYield(body),
+  });
+}
+
+/**
+ * Generates a function declaration
+ * @param {Generator} g - The code generator
+ * @param {object} node - The FunctionDeclaration node
+ */
+function generateFunction(g, node) {
+  const params = g.params(node.params);
+  const keyword = `${node.async ? 'async ' : ''}function${node.generator ? '*' : ''}`;
+  if (node.body.body.length === 0) {
+    g.line(`${keyword} ${node.id.name}(${params}) {}`, node);
+    return;
   }
-  
-  return result.join('\n');
+  g.line(`${keyword} ${node.id.name}(${params}) {`, node);
+  g.block(node.body.body);
+  g.line('}');
 }
 
 module.exports = {
-  transformFunctions,
+  isFunctionDefinition,
+  parseFunctionDefinition,
+  parseFunctionDeclaration,
+  parseLambda,
+  implicitReturn,
+  generateFunction,
 };
-
@@ -0,0 +1,121 @@
+/**
+ * Generators feature - lazy sequences with yield
+ *   gen count(limit):
+ *       for i in 0..limit
+ *           yield i
+ *   evens(list):
+ *       yield from list.filter(x -> x % 2 == 0)
+ * A function that uses yield is a generator even without gen, and
+ * async gen functions can be consumed with: for await x of stream
+ */
+
+const { syntaxError } = require('../tokenizer');
+
+const FUNCTIONS = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+]);
+
+// Tokens that end a yield without a value
+const ENDINGS = new Set([')', ']', '}', ',', ';', ':']);
+
+/**
+ * Checks if the token at offset ends an expression
+ */
+function endsExpression(p, offset) {
+  const token = p.peek(offset);
+  if (token.type === 'punct') return ENDINGS.has(token.value);
+  return token.type !== 'name' && token.type !== 'number' &&
+    token.type !== 'string' && token.type !== 'template' &&
+    token.type !== 'regex';
+}
+
+/**
+ * Parses a yield expression: yield, yield value or yield from iterable
+ * @param {Parser} p - The parser
+ * @returns {object} - A YieldExpression node
+ */
+function parseYield(p) {
+  const start = p.expect('name', 'yield');
+  let delegate = false;
+  if (p.isPunct('*') || (p.isName('from') && !endsExpression(p, 1))) {
+    p.next();
+    delegate = true;
+  }
+  const argument = delegate || !endsExpression(p, 0) ? p.parseAssignment() : null;
+  return p.node('YieldExpression', start, { argument, delegate });
+}
+
+/**
+ * Checks if a function body uses yield (not counting nested functions)
+ * @param {object} body - The body of a function
+ * @returns {boolean}
+ */
+function containsYield(body) {
+  const visit = (node) => {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+      return false;
+    }
+    if (node.type === 'YieldExpression') return true;
+    if (FUNCTIONS.has(node.type) || node.type === 'ClassDeclaration') {
+      return false;
+    }
+    return Object.keys(node).some((key) => {
+      if (key === 'loc') return false;
+      const value = node[key];
+      return Array.isArray(value) ? value.some(visit) : visit(value);
+    });
+  };
+  return visit(body);
+}
+
+/**
+ * Checks that yield is only used in generator functions; lambdas and the
+ * top level of a file cannot be generators
+ * @param {object} program - The Program node
+ */
+function checkYield(program) {
+  const visit = (node, fn) => {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+      return;
+    }
+    if (node.type === 'YieldExpression' && (!fn || !fn.generator)) {
+      throw syntaxError(
+        '"yield" is only allowed in generator functions, like: gen name(args):',
+        node.loc
+      );
+    }
+    const inner = FUNCTIONS.has(node.type) ? node : fn;
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach((item) => visit(item, inner));
+      } else {
+        visit(value, inner);
+      }
+    }
+  };
+
+  visit(program, null);
+}
+
+/**
+ * Generates a yield expression
+ * @param {Generator} g - The code generator
+ * @param {object} node - The YieldExpression node
+ * @returns {string}
+ */
+function generateYield(g, node) {
+  const keyword = node.delegate ? 'yield*' : 'yield';
+  if (!node.argument) return keyword;
+  return `${keyword} ${g.expression(node.argument, g.PRECEDENCE.ASSIGNMENT)}`;
+}
+
+module.exports = {
+  parseYield,
+  containsYield,
+  checkYield,
+  generateYield,
+};
@@ -1,228 +1,492 @@
 /**
  * Loops feature - simplified for loop syntax
  * Supports range loops, array/object iteration, and repeat loops
+ * Any loop can have a label (outer: for ...) for break outer and
+ * continue outer, and an else block that runs unless the loop was broken
  */
 
+const { parseBlock, isClause } = require('./codeblocks');
+const { __entries, __items, __rangeStep } = require('../runtime');
+
 /**
- * Transforms simplified loop syntax to standard JavaScript for loops
- * @param {string} source - The source code to transform
- * @returns {string} - The transformed code with standard for loops
- */
-function transformLoops(source) {
-  let output = source;
-
-  // 1. Transform repeat loops: repeat 10 => for (let _ = 0; _ < 10; _++)
-  // Pattern: repeat followed by a number (can be a variable or expression)
-  const repeatPattern = /\brepeat\s+(\S+)/g;
-  output = output.replace(repeatPattern, (match, count) => {
-    return `for (let _ = 0; _ < ${count}; _++)`;
-  });
-
-  // 2. Transform range loops: for i in 0...5 => for (let i = 0; i < 5; i++)
-  // Also handles: for i in 0..5..2 => for (let i = 0; i < 5; i += 2)
-  // Pattern: for VAR in START...END or for VAR in START..END..STEP
-  const rangePattern =
-    /\bfor\s+(\w+)\s+in\s+(\d+(?:\.\d+)?)\s*\.\.\s*(\d+(?:\.\d+)?)(?:\s*\.\.\s*(\d+(?:\.\d+)?))?/g;
-  output = output.replace(rangePattern, (match, varName, start, end, step) => {
-    if (step) {
-      // Has step: for i in 0..5..2
-      return `for (let ${varName} = ${start}; ${varName} < ${end}; ${varName} += ${step})`;
-    } else {
-      // No step: for i in 0..5
-      return `for (let ${varName} = ${start}; ${varName} < ${end}; ${varName}++)`;
-    }
-  });
-
-  // Also handle two-dot syntax: for i in 0..5..2
-  const rangePattern2 =
-    /\bfor\s+(\w+)\s+in\s+(\d+(?:\.\d+)?)\s*\.\.\s*(\d+(?:\.\d+)?)(?:\s*\.\.\s*(\d+(?:\.\d+)?))?/g;
-  output = output.replace(rangePattern2, (match, varName, start, end, step) => {
-    if (step) {
-      // Has step: for i in 0..5..2
-      return `for (let ${varName} = ${start}; ${varName} < ${end}; ${varName} += ${step})`;
-    } else {
-      // No step: for i in 0..5 (treat as for i in 0...5)
-      return `for (let ${varName} = ${start}; ${varName} < ${end}; ${varName}++)`;
-    }
-  });
-
-  // 3. Transform array iteration: for a of arr => for (let a of arr)
-  // Also handles destructuring: for [a, b] of arr => for (let [a, b] of arr)
-  // Also handles function calls: for a of range(0,5) => for (let a of range(0,5))
-  // Pattern: for DESTRUCTURE of EXPRESSION
-  // Note: We need to be careful not to match "for a in arr" (object iteration)
-  // Process matches manually to handle balanced parentheses in expressions
-  const arrayOfPattern = /\bfor\s+(\[[^\]]+\]|\w+)\s+of\s+/g;
-  const matches = [];
-  let match;
-  arrayOfPattern.lastIndex = 0;
-  while ((match = arrayOfPattern.exec(output)) !== null) {
-    matches.push(match);
-  }
-
-  // Process matches from right to left to maintain positions
-  for (let i = matches.length - 1; i >= 0; i--) {
-    const forMatch = matches[i];
-    const startPos = forMatch.index;
-    const afterOfPos = startPos + forMatch[0].length;
-
-    // Extract the expression after "of" - need to handle function calls with balanced parens
-    let pos = afterOfPos;
-    let depth = 0;
-    let inString = false;
-    let stringChar = '';
-    let exprEnd = pos;
-
-    // Find the end of the expression
-    // Expression ends at: newline, semicolon, or when we hit another keyword
-    while (pos < output.length) {
-      const char = output[pos];
-
-      if (!inString) {
-        if (char === '"' || char === "'" || char === '`') {
-          inString = true;
-          stringChar = char;
-        } else if (char === '(' || char === '[' || char === '{') {
-          depth++;
-        } else if (char === ')' || char === ']' || char === '}') {
-          depth--;
-        } else if (
-          depth === 0 &&
-          (char === '\n' ||
-            char === ';' ||
-            (char === ' ' &&
-              /^\s*(in|of|for|while|if|else)\b/.test(output.substring(pos))))
-        ) {
-          // End of expression
-          exprEnd = pos;
-          break;
-        }
-      } else {
-        if (char === stringChar) {
-          inString = false;
-        }
-      }
+ * Parses the loop variable of a for loop: a name or a destructuring pattern
+ */
+function parseLoopTarget(p) {
+  if (p.isPunct('[')) return p.parseArray();
+  if (p.isPunct('{')) return p.parseObject();
+  return p.parseIdentifier();
+}
 
-      pos++;
-    }
+/**
+ * Parses a for loop
+ *   for i in 0..n         range loop, up to n - 1
+ *   for i in 0..=n        range loop that includes n
+ *   for i in 0..10..2     range loop with a step
+ *   for i in n..0..-1     range loop counting down
+ *   for a of arr          array iteration (also for [a, b] of pairs)
+ *   for await x of stream async iteration
+ *   for key in obj        object iteration
+ *   for i, v in arr       index and item (key and value for objects and Maps)
+ *   for x, y in zip(a, b) items of several arrays side by side
+ *   for (...)             plain JavaScript for loops
+ * @param {Parser} p - The parser
+ * @returns {object} - A loop node
+ */
+function parseFor(p) {
+  const start = p.expect('name', 'for');
+
+  if (p.isPunct('(') || (p.isName('await') && p.isPunct('(', 1))) {
+    const isAwait = Boolean(p.eat('name', 'await'));
+    return parseJavaScriptFor(p, start, isAwait);
+  }
+
+  const { type, props } = parseForHead(p, start, () => p.parseExpression());
+  const body = parseBlock(p);
+  const orelse = parseLoopElse(p);
+  return p.node(type, start, { ...props, body, orelse });
+}
+
+/**
+ * Parses what comes after "for" in a for loop, up to its body; also used by
+ * the for clauses of comprehensions
+ * @param {Parser} p - The parser
+ * @param {object} start - The "for" token
+ * @param {Function} parseValue - Parses the iterable and the range ends
+ * @returns {{type: string, props: object}} - The type and the fields of the loop node
+ */
+function parseForHead(p, start, parseValue) {
+  const isAwait = Boolean(p.eat('name', 'await'));
 
-    if (pos >= output.length) {
-      exprEnd = output.length;
+  const leftStart = p.peek();
+  let left = parseLoopTarget(p);
+
+  // for i, v in items: the names are an [index, item] or [key, value] pair
+  let pairs = false;
+  if (p.isPunct(',')) {
+    const elements = [left];
+    while (p.eatPunct(',')) elements.push(parseLoopTarget(p));
+    left = p.node('ArrayExpression', leftStart, { elements });
+    pairs = true;
+    if (!p.isName('in')) {
+      throw p.error('Expected "in" after the loop variables, like: for i, v in arr');
     }
+  }
+
+  if (isAwait || p.isName('of')) {
+    p.expect('name', 'of');
+    const right = parseValue();
+    return {
+      type: 'ForOfStatement',
+      props: { kind: 'let', left, right, await: isAwait },
+    };
+  }
 
-    const destructure = forMatch[1];
-    const expression = output.substring(afterOfPos, exprEnd).trim();
-
-    // Replace the match
-    output =
-      output.substring(0, startPos) +
-      `for (let ${destructure} of ${expression})` +
-      output.substring(exprEnd);
-  }
-
-  // 4. Transform object iteration: for a in arr => for (let a in arr)
-  // Pattern: for VAR in OBJ (but not for VAR in NUMBER...NUMBER which is range)
-  // We need to avoid matching range loops, so check that it's not a number pattern
-  const objectInPattern = /\bfor\s+(\w+)\s+in\s+(\w+)/g;
-  output = output.replace(objectInPattern, (match, varName, objName) => {
-    // Skip if this was already transformed as a range loop
-    // We can check if the pattern matches a number by checking if objName starts with a digit
-    // But more importantly, we need to avoid re-transforming range loops
-    // Since range loops use "in" with numbers, and we've already transformed those,
-    // we can safely transform remaining "for VAR in OBJ" patterns
-    // However, we need to be careful - let's check if it's already a for loop with parentheses
-    // Actually, if we process range loops first, then this should only match object iteration
-
-    // Check if this looks like a variable name (not a number pattern)
-    // If objName matches a number pattern, skip (shouldn't happen after range transform, but be safe)
-    if (/^\d+(\.\d+)?$/.test(objName)) {
-      return match; // Don't transform, might be a range that wasn't caught
+  p.expect('name', 'in');
+  const right = parseValue();
+
+  if (p.isPunct('..') || p.isPunct('..=')) {
+    if (left.type !== 'Identifier') {
+      throw p.error('A range loop needs a single variable', start);
     }
+    const inclusive = p.next().value === '..=';
+    const end = parseValue();
+    const step = p.eatPunct('..') ? parseValue() : null;
+    return {
+      type: 'ForRangeStatement',
+      props: { variable: left, from: right, to: end, step, inclusive },
+    };
+  }
 
-    return `for (let ${varName} in ${objName})`;
-  });
-
-  // 5. Transform while loops: while condition => while (condition)
-  // Also handles: while (condition) => while (condition) (already has brackets, keep as is)
-  // Pattern: while CONDITION
-  const whilePattern = /\bwhile\s+/g;
-  const whileMatches = [];
-  whilePattern.lastIndex = 0;
-  while ((match = whilePattern.exec(output)) !== null) {
-    whileMatches.push(match);
-  }
-
-  // Process matches from right to left to maintain positions
-  for (let i = whileMatches.length - 1; i >= 0; i--) {
-    const whileMatch = whileMatches[i];
-    const startPos = whileMatch.index;
-    const afterWhilePos = startPos + whileMatch[0].length;
-
-    // Check if condition already starts with (
-    const afterWhile = output.substring(afterWhilePos);
-    if (afterWhile.trim().startsWith('(')) {
-      // Already has parentheses, skip transformation
-      continue;
+  if (pairs) {
+    if (!isZip(right) && left.elements.length > 2) {
+      throw p.error('Loop over an index and an item, or a key and a value: for i, v in items', left.loc);
     }
+    // zip() already gives one array per step; anything else is enumerated
+    return {
+      type: 'ForOfStatement',
+      props: { kind: 'let', left, right, await: false, entries: !isZip(right) },
+    };
+  }
+  return { type: 'ForInStatement', props: { kind: 'let', left, right } };
+}
 
-    // Extract the condition - need to handle balanced parentheses for complex conditions
-    let pos = afterWhilePos;
-    let depth = 0;
-    let inString = false;
-    let stringChar = '';
-    let conditionEnd = pos;
-
-    // Find the end of the condition
-    // Condition ends at: newline, semicolon, or when we hit another keyword
-    while (pos < output.length) {
-      const char = output[pos];
-
-      if (!inString) {
-        if (char === '"' || char === "'" || char === '`') {
-          inString = true;
-          stringChar = char;
-        } else if (char === '(' || char === '[' || char === '{') {
-          depth++;
-        } else if (char === ')' || char === ']' || char === '}') {
-          depth--;
-        } else if (
-          depth === 0 &&
-          (char === '\n' ||
-            char === ';' ||
-            (char === ' ' &&
-              /^\s*(for|while|if|else|return|break|continue)\b/.test(
-                output.substring(pos)
-              )))
-        ) {
-          // End of condition
-          conditionEnd = pos;
-          break;
-        }
-      } else {
-        if (char === stringChar) {
-          inString = false;
-        }
-      }
+/**
+ * Checks if an expression is a call to the built-in zip
+ */
+function isZip(node) {
+  return node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'zip';
+}
+
+/**
+ * Parses for (init; test; update), for (let x of arr) and for (let k in obj)
+ */
+function parseJavaScriptFor(p, start, isAwait) {
+  p.expectPunct('(');
 
-      pos++;
+  let kind = null;
+  if (p.isName('let') || p.isName('const') || p.isName('var')) {
+    kind = p.next().value;
+  }
+
+  let init = null;
+  if (kind || (p.is('name') && (p.isName('of', 1) || p.isName('in', 1)))) {
+    const left = parseLoopTarget(p);
+    if (p.isName('of') || p.isName('in')) {
+      const type = p.next().value === 'of' ? 'ForOfStatement' : 'ForInStatement';
+      if (isAwait && type !== 'ForOfStatement') {
+        throw p.error('"for await" needs "of"', start);
+      }
+      const right = p.parseExpression();
+      p.expectPunct(')');
+      const body = parseBlock(p);
+      const orelse = parseLoopElse(p);
+      return p.node(type, start, { kind, left, right, body, orelse, await: isAwait });
     }
 
-    if (pos >= output.length) {
-      conditionEnd = output.length;
+    const declarations = [];
+    let id = left;
+    while (true) {
+      const value = p.eatPunct('=') ? p.parseAssignment() : null;
+      declarations.push({ id, init: value });
+      if (!p.eatPunct(',')) break;
+      id = parseLoopTarget(p);
     }
+    init = { type: 'VariableDeclaration', kind, declarations };
+  } else if (!p.isPunct(';')) {
+    init = p.parseExpression();
+  }
+
+  if (isAwait) throw p.error('"for await" needs "of"', start);
+  p.expectPunct(';');
+  const test = p.isPunct(';') ? null : p.parseExpression();
+  p.expectPunct(';');
+  const update = p.isPunct(')') ? null : p.parseExpression();
+  p.expectPunct(')');
+  const body = parseBlock(p);
+  const orelse = parseLoopElse(p);
+  return p.node('ForStatement', start, { init, test, update, body, orelse });
+}
+
+/**
+ * Parses a while loop: while condition + indented body
+ * @param {Parser} p - The parser
+ * @returns {object} - A WhileStatement node
+ */
+function parseWhile(p) {
+  const start = p.expect('name', 'while');
+  const test = p.parseExpression();
+  const body = parseBlock(p);
+  const orelse = parseLoopElse(p);
+  return p.node('WhileStatement', start, { test, body, orelse });
+}
+
+/**
+ * Parses a JavaScript do...while loop: do { ... } while (test)
+ * @param {Parser} p - The parser
+ * @returns {object} - A DoWhileStatement node
+ */
+function parseDoWhile(p) {
+  const start = p.expect('name', 'do');
+  const body = parseBlock(p);
+  if (!isClause(p, 'while')) throw p.error('Expected "while" after the body of "do"');
+  p.next();
+  const test = p.parseExpression();
+  const node = p.node('DoWhileStatement', start, { body, test });
+  p.endStatement();
+  return node;
+}
+
+/**
+ * Checks if "repeat" starts a repeat loop rather than being used as a name
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isRepeat(p) {
+  const next = p.peek(1);
+  if (next.type === 'punct') {
+    return next.value === '(' && next.spaceBefore;
+  }
+  return next.type === 'name' || next.type === 'number';
+}
+
+/**
+ * Parses a repeat loop: repeat 10 + indented body
+ * @param {Parser} p - The parser
+ * @returns {object} - A RepeatStatement node
+ */
+function parseRepeat(p) {
+  const start = p.expect('name', 'repeat');
+  const count = p.parseExpression();
+  const body = parseBlock(p);
+  const orelse = parseLoopElse(p);
+  return p.node('RepeatStatement', start, { count, body, orelse });
+}
+
+/**
+ * Parses the else block of a loop, which runs when the loop ends without
+ * break, or returns null
+ */
+function parseLoopElse(p) {
+  if (!isClause(p, 'else')) return null;
+  p.next();
+  return parseBlock(p);
+}
+
+/**
+ * Checks if a statement is a labeled loop: outer: for ...
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isLabeledLoop(p) {
+  if (!p.is('name') || !p.isPunct(':', 1)) return false;
+  return p.isName('for', 2) || p.isName('while', 2) || p.isName('repeat', 2);
+}
 
-    const condition = output.substring(afterWhilePos, conditionEnd).trim();
+/**
+ * Parses a labeled loop
+ * @param {Parser} p - The parser
+ * @returns {object} - The loop node, with its label
+ */
+function parseLabeledLoop(p) {
+  const label = p.parseIdentifier();
+  p.expectPunct(':');
+  let loop;
+  if (p.isName('for')) loop = parseFor(p);
+  else if (p.isName('while')) loop = parseWhile(p);
+  else loop = parseRepeat(p);
+  loop.label = label;
+  return loop;
+}
+
+/**
+ * Generates the body of a loop after its header
+ * A loop with an else block goes in a labeled block with the else block
+ * after it, and a break out of the loop leaves the labeled block instead
+ */
+function generateLoop(g, header, node) {
+  const label = node.label ? `${node.label.name}: ` : '';
+  const saved = g.breakTarget;
+
+  if (!node.orelse) {
+    g.breakTarget = null;
+    g.line(`${label}${header} {`, node);
+    g.block(node.body.body);
+    g.line('}');
+    g.breakTarget = saved;
+    return;
+  }
+
+  const target = g.temp('loop');
+  g.breakTarget = target;
+  if (node.label) g.breakTargets.set(node.label.name, target);
+  g.line(`${target}: {`, node);
+  g.level++;
+  g.line(`${label}${header} {`);
+  g.block(node.body.body);
+  g.line('}');
+  g.level--;
+  g.breakTarget = saved;
+  if (node.label) g.breakTargets.delete(node.label.name);
+  g.block(node.orelse.body);
+  g.line('}');
+}
+
+/**
+ * Generates break and continue; a break out of a loop that has an else
+ * block leaves the labeled block around the loop
+ * @param {Generator} g - The code generator
+ * @param {object} node - The BreakStatement or ContinueStatement node
+ */
+function generateJump(g, node) {
+  if (node.type === 'ContinueStatement') {
+    g.line(node.label ? `continue ${node.label.name};` : 'continue;', node);
+    return;
+  }
+  const target = node.label
+    ? g.breakTargets.get(node.label.name) || node.label.name
+    : g.breakTarget;
+  g.line(target ? `break ${target};` : 'break;', node);
+}
+
+/**
+ * Returns the value of a number literal, or of a negated one, or null
+ */
+function numberValue(node) {
+  if (node.type === 'Literal' && node.kind === 'number') {
+    return Number(node.raw.replace(/_/g, ''));
+  }
+  if (node.type === 'UnaryExpression' && (node.operator === '-' || node.operator === '+')) {
+    const value = numberValue(node.argument);
+    return value === null ? null : node.operator === '-' ? -value : value;
+  }
+  return null;
+}
+
+/**
+ * Returns the header of a range loop: for i in 0..5 => for (let i = 0; i < 5; i++)
+ * Like range(), a range counts down when its start is larger than its end,
+ * and its step is the size of each move. The end and the step are only
+ * evaluated once, and when the direction is not known before the loop
+ * runs, the step is worked out as it starts
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ForRangeStatement node
+ * @returns {string}
+ */
+function rangeHeader(g, node) {
+  const name = node.variable.name;
+  const up = node.inclusive ? '<=' : '<';
+  const down = node.inclusive ? '>=' : '>';
+  const declarations = [`${name} = ${g.expression(node.from, g.PRECEDENCE.ASSIGNMENT)}`];
+
+  let end = g.expression(node.to, g.PRECEDENCE.RELATIONAL + 1);
+  const to = numberValue(node.to);
+  if (to === null) {
+    const temp = g.temp('end');
+    declarations.push(`${temp} = ${g.expression(node.to, g.PRECEDENCE.ASSIGNMENT)}`);
+    end = temp;
+  }
+
+  const from = numberValue(node.from);
+  const size = node.step ? numberValue(node.step) : 1;
+  if (size === 0) throw g.error('The step of a range cannot be 0', node.step);
+
+  if (size !== null && from !== null && to !== null) {
+    const direction = from > to ? -1 : 1;
+    const operator = direction > 0 ? '+' : '-';
+    const step = Math.abs(size);
+    const update = step === 1 ? `${name}${operator}${operator}` : `${name} ${operator}= ${step}`;
+    return `for (let ${declarations.join(', ')}; ${name} ${direction > 0 ? up : down} ${end}; ${update})`;
+  }
+
+  const step = g.temp('step');
+  if (size !== null) {
+    const value = Math.abs(size);
+    declarations.push(`${step} = ${name} < ${end} ? ${value} : -${value}`);
+  } else {
+    const code = g.expression(node.step, g.PRECEDENCE.ASSIGNMENT);
+    declarations.push(`${step} = ${g.helper(__rangeStep)}(${name}, ${end}, ${code})`);
+  }
+  const test = `${step} > 0 ? ${name} ${up} ${end} : ${name} ${down} ${end}`;
+  return `for (let ${declarations.join(', ')}; ${test}; ${name} += ${step})`;
+}
 
-    // Replace the match with parentheses around condition
-    output =
-      output.substring(0, startPos) +
-      `while (${condition})` +
-      output.substring(conditionEnd);
+/**
+ * Returns the header of a for...of or for...in loop
+ */
+function eachHeader(g, node) {
+  const keyword = node.type === 'ForOfStatement' ? 'of' : 'in';
+  const loop = node.await ? 'for await' : 'for';
+  const kind = node.kind ? `${node.kind} ` : '';
+  const left = g.expression(node.left);
+  let right = g.expression(node.right, g.PRECEDENCE.ASSIGNMENT);
+  if (node.entries) {
+    right = `${g.helper(__entries)}(${right})`;
+  } else if (node.items) {
+    right = `${g.helper(__items)}(${right})`;
   }
+  return `${loop} (${kind}${left} ${keyword} ${right})`;
+}
+
+/**
+ * Returns the header of a loop parsed by parseForHead
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ForRangeStatement, ForOfStatement or ForInStatement node
+ * @returns {string}
+ */
+function loopHeader(g, node) {
+  return node.type === 'ForRangeStatement' ? rangeHeader(g, node) : eachHeader(g, node);
+}
+
+/**
+ * Generates a range loop
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ForRangeStatement node
+ */
+function generateForRange(g, node) {
+  generateLoop(g, rangeHeader(g, node), node);
+}
+
+/**
+ * Generates for...of and for...in loops
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ForOfStatement or ForInStatement node
+ */
+function generateForEach(g, node) {
+  generateLoop(g, eachHeader(g, node), node);
+}
 
-  return output;
+/**
+ * Generates a plain JavaScript for loop
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ForStatement node
+ */
+function generateFor(g, node) {
+  let init = '';
+  if (node.init && node.init.type === 'VariableDeclaration') {
+    const declarations = node.init.declarations.map((declaration) =>
+      declaration.init
+        ? `${g.expression(declaration.id)} = ${g.expression(declaration.init, g.PRECEDENCE.ASSIGNMENT)}`
+        : g.expression(declaration.id)
+    );
+    init = `${node.init.kind} ${declarations.join(', ')}`;
+  } else if (node.init) {
+    init = g.expression(node.init);
+  }
+  const test = node.test ? ` ${g.expression(node.test)}` : '';
+  const update = node.update ? ` ${g.expression(node.update)}` : '';
+  generateLoop(g, `for (${init};${test};${update})`, node);
+}
+
+/**
+ * Generates a while loop
+ * @param {Generator} g - The code generator
+ * @param {object} node - The WhileStatement node
+ */
+function generateWhile(g, node) {
+  generateLoop(g, `while (${g.expression(node.test)})`, node);
+}
+
+/**
+ * Generates a do...while loop
+ * @param {Generator} g - The code generator
+ * @param {object} node - The DoWhileStatement node
+ */
+function generateDoWhile(g, node) {
+  const saved = g.breakTarget;
+  g.breakTarget = null;
+  g.line('do {', node);
+  g.block(node.body.body);
+  g.line(`} while (${g.expression(node.test)});`);
+  g.breakTarget = saved;
+}
+
+/**
+ * Generates a repeat loop: repeat 10 => for (let _i = 0; _i < 10; _i++)
+ * @param {Generator} g - The code generator
+ * @param {object} node - The RepeatStatement node
+ */
+function generateRepeat(g, node) {
+  const count = g.expression(node.count, g.PRECEDENCE.RELATIONAL + 1);
+  const i = g.temp('i');
+  generateLoop(g, `for (let ${i} = 0; ${i} < ${count}; ${i}++)`, node);
 }
 
 module.exports = {
-  transformLoops,
+  parseFor,
+  parseForHead,
+  parseWhile,
+  parseDoWhile,
+  parseRepeat,
+  isRepeat,
+  isLabeledLoop,
+  parseLabeledLoop,
+  loopHeader,
+  generateForRange,
+  generateForEach,
+  generateFor,
+  generateWhile,
+  generateDoWhile,
+  generateRepeat,
+  generateJump,
 };
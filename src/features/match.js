@@ -0,0 +1,300 @@
+/**
+ * Match feature - match/case blocks
+ *   match command:
+ *       case "quit" | "exit":
+ *           stop()
+ *       case ["move", x, y] if x > 0:
+ *           move(x, y)
+ *       case { type: "key", code }:
+ *           press(code)
+ *       case _:
+ *           log("unknown command")
+ * Only the first matching case runs. Names in a pattern are bound to the
+ * matching parts of the value, inside that case
+ */
+
+const { parseBlock } = require('./codeblocks');
+
+// Identifiers that are values, not names to bind
+const CONSTANTS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity']);
+
+/**
+ * Checks if "match" starts a match block rather than being used as a name
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isMatch(p) {
+  const next = p.peek(1);
+  if (next.type === 'punct') {
+    return ['[', '{'].includes(next.value) || (next.value === '(' && next.spaceBefore);
+  }
+  return ['name', 'number', 'string', 'template'].includes(next.type);
+}
+
+/**
+ * Checks a pattern and returns the names it binds
+ */
+function checkPattern(p, node) {
+  switch (node.type) {
+    case 'Literal':
+      if (node.kind === 'regex') break;
+      return [];
+    case 'Identifier':
+      return node.name === '_' || CONSTANTS.has(node.name) ? [] : [node.name];
+    case 'MemberExpression':
+      // A constant like Color.red
+      return [];
+    case 'UnaryExpression':
+      if (node.operator === '-' && node.argument.type === 'Literal' && node.argument.kind === 'number') {
+        return [];
+      }
+      break;
+    case 'BinaryExpression':
+      if (node.operator === '|') {
+        const names = [...checkPattern(p, node.left), ...checkPattern(p, node.right)];
+        if (names.length > 0) {
+          throw p.error('Alternatives separated by "|" cannot bind names', node.loc);
+        }
+        return [];
+      }
+      break;
+    case 'ArrayExpression':
+      return node.elements.flatMap((element, index) => {
+        if (element && element.type === 'SpreadElement') {
+          if (index !== node.elements.length - 1 || element.argument.type !== 'Identifier') {
+            throw p.error('Only the last element of a pattern can be ...rest', element.loc);
+          }
+          return checkPattern(p, element.argument);
+        }
+        if (!element) throw p.error('Invalid pattern', node.loc);
+        return checkPattern(p, element);
+      });
+    case 'ObjectExpression':
+      return node.properties.flatMap((property, index) => {
+        if (property.type === 'SpreadElement') {
+          if (index !== node.properties.length - 1 || property.argument.type !== 'Identifier') {
+            throw p.error('Only the last property of a pattern can be ...rest', property.loc);
+          }
+          return checkPattern(p, property.argument);
+        }
+        if (property.computed || property.method) throw p.error('Invalid pattern', property.loc);
+        return checkPattern(p, property.value);
+      });
+    default:
+      break;
+  }
+  throw p.error('Invalid pattern: use literals, names, _, [...] or {...}', node.loc);
+}
+
+/**
+ * Checks if a pattern matches any value
+ */
+function isIrrefutable(node) {
+  return node.type === 'Identifier' && !CONSTANTS.has(node.name);
+}
+
+/**
+ * Parses a match block: match value: + indented case arms
+ * @param {Parser} p - The parser
+ * @returns {object} - A MatchStatement node
+ */
+function parseMatch(p) {
+  const start = p.expect('name', 'match');
+  const discriminant = p.parseExpression();
+  p.expectPunct(':');
+  if (!p.eat('newline') || !p.eat('indent')) {
+    throw p.error('Expected indented case lines after "match"', start);
+  }
+
+  const cases = [];
+  while (!p.is('dedent')) {
+    if (p.eat('newline')) continue;
+    const caseStart = p.peek();
+    if (!p.eat('name', 'case')) {
+      throw p.error('Expected "case" inside a match block');
+    }
+    const last = cases[cases.length - 1];
+    if (last && isIrrefutable(last.pattern) && !last.guard) {
+      throw p.error(`"case ${last.pattern.name}" matches everything, so it must be the last case`, last.loc);
+    }
+    // Not parseConditional: the "if" after a pattern starts its guard
+    const pattern = p.parseBinary(0);
+    const names = checkPattern(p, pattern);
+    const repeated = names.find((name, index) => names.indexOf(name) !== index);
+    if (repeated) {
+      throw p.error(`"${repeated}" is bound twice in the same pattern`, pattern.loc);
+    }
+    const guard = p.eat('name', 'if') ? p.parseExpression() : null;
+    const body = parseBlock(p);
+    cases.push(p.node('MatchCase', caseStart, { pattern, names, guard, body }));
+  }
+  p.expect('dedent');
+
+  return p.node('MatchStatement', start, { discriminant, cases });
+}
+
+/**
+ * Returns the value expressions inside a pattern, like Color.red
+ * @param {object} node - A pattern
+ * @returns {object[]}
+ */
+function patternValues(node) {
+  switch (node.type) {
+    case 'MemberExpression':
+      return [node];
+    case 'BinaryExpression':
+      return [...patternValues(node.left), ...patternValues(node.right)];
+    case 'ArrayExpression':
+      return node.elements.flatMap((element) =>
+        element.type === 'SpreadElement' ? [] : patternValues(element)
+      );
+    case 'ObjectExpression':
+      return node.properties.flatMap((property) =>
+        property.type === 'SpreadElement' ? [] : patternValues(property.value)
+      );
+    default:
+      return [];
+  }
+}
+
+/**
+ * Returns the code that reads a property
+ */
+function propertyPath(path, key) {
+  if (key.type === 'Identifier') return `${path}.${key.name}`;
+  return `${path}[${key.raw}]`;
+}
+
+/**
+ * Walks a pattern matched against the value at path, collecting the tests
+ * that check it and the code of the names it binds
+ * @param {Generator} g - The code generator
+ * @param {object} node - The pattern
+ * @param {string} path - Code that reads the value
+ * @param {string[]} tests - Collected conditions
+ * @param {Map<string, string>} bindings - Collected name => code
+ */
+function matchPattern(g, node, path, tests, bindings) {
+  const value = (expression) => g.expression(expression, g.PRECEDENCE.EQUALITY + 1);
+
+  switch (node.type) {
+    case 'Identifier':
+      if (CONSTANTS.has(node.name)) {
+        tests.push(node.name === 'NaN' ? `Number.isNaN(${path})` : `${path} === ${node.name}`);
+      } else if (node.name !== '_') {
+        bindings.set(node.name, path);
+      }
+      return;
+    case 'BinaryExpression': {
+      const alternatives = [];
+      const collect = (alternative) => {
+        if (alternative.type === 'BinaryExpression' && alternative.operator === '|') {
+          collect(alternative.left);
+          collect(alternative.right);
+          return;
+        }
+        const parts = [];
+        matchPattern(g, alternative, path, parts, bindings);
+        alternatives.push(parts.length > 0 ? parts.join(' && ') : 'true');
+      };
+      collect(node);
+      tests.push(`(${alternatives.map((test) => (test.includes(' && ') ? `(${test})` : test)).join(' || ')})`);
+      return;
+    }
+    case 'ArrayExpression': {
+      const elements = node.elements;
+      const rest = elements.length > 0 && elements[elements.length - 1].type === 'SpreadElement';
+      const length = rest ? elements.length - 1 : elements.length;
+      tests.push(`Array.isArray(${path})`);
+      tests.push(rest ? `${path}.length >= ${length}` : `${path}.length === ${length}`);
+      elements.forEach((element, index) => {
+        if (element.type === 'SpreadElement') {
+          matchPattern(g, element.argument, `${path}.slice(${index})`, tests, bindings);
+        } else {
+          matchPattern(g, element, `${path}[${index}]`, tests, bindings);
+        }
+      });
+      return;
+    }
+    case 'ObjectExpression': {
+      tests.push(`typeof ${path} === 'object'`, `${path} !== null`);
+      const keys = [];
+      for (const property of node.properties) {
+        if (property.type === 'SpreadElement') {
+          const omitted = `[${keys.join(', ')}]`;
+          matchPattern(
+            g,
+            property.argument,
+            `Object.fromEntries(Object.entries(${path}).filter(([key]) => !${omitted}.includes(key)))`,
+            tests,
+            bindings
+          );
+          continue;
+        }
+        const key = property.key.type === 'Identifier' ? `'${property.key.name}'` : property.key.raw;
+        keys.push(key);
+        // Other patterns fail anyway when the property is missing
+        if (property.value.type === 'Identifier') tests.push(`${key} in ${path}`);
+        matchPattern(g, property.value, propertyPath(path, property.key), tests, bindings);
+      }
+      return;
+    }
+    default:
+      // Literals and constants like Color.red
+      tests.push(`${path} === ${value(node)}`);
+  }
+}
+
+/**
+ * Generates a match block as an if / else if chain
+ * @param {Generator} g - The code generator
+ * @param {object} node - The MatchStatement node
+ */
+function generateMatch(g, node) {
+  let subject = g.expression(node.discriminant, g.PRECEDENCE.CALL);
+  if (node.discriminant.type !== 'Identifier') {
+    const name = g.temp('match');
+    g.line(`const ${name} = ${g.expression(node.discriminant, g.PRECEDENCE.ASSIGNMENT)};`, node);
+    subject = name;
+  }
+
+  node.cases.forEach((arm, index) => {
+    const tests = [];
+    const bindings = new Map();
+    matchPattern(g, arm.pattern, subject, tests, bindings);
+
+    if (arm.guard) {
+      // The guard sees the bound names as the parts of the value they stand for
+      const saved = g.renames;
+      g.renames = bindings;
+      tests.push(g.expression(arm.guard, g.PRECEDENCE.AND + 1));
+      g.renames = saved;
+    }
+
+    // A case with only alternatives needs no extra parentheses
+    const alone = tests.length === 1 && arm.pattern.type === 'BinaryExpression';
+    const test = alone ? tests[0].slice(1, -1) : tests.join(' && ');
+    const keyword = index === 0 ? 'if' : '} else if';
+    if (test) {
+      g.line(`${keyword} (${test}) {`, arm);
+    } else {
+      g.line(index === 0 ? '{' : '} else {', arm);
+    }
+    if (bindings.size > 0) {
+      const declarations = [...bindings].map(([name, path]) => `${name} = ${path}`);
+      g.level++;
+      g.line(`let ${declarations.join(', ')};`);
+      g.level--;
+    }
+    g.block(arm.body.body);
+  });
+
+  if (node.cases.length > 0) g.line('}');
+}
+
+module.exports = {
+  isMatch,
+  parseMatch,
+  patternValues,
+  generateMatch,
+};
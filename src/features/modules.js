@@ -0,0 +1,402 @@
+/**
+ * Modules feature - import/export between .ls files
+ * Compiles to require/exports (cjs, the default) or to native import/export
+ * (esm). Paths are resolved relative to the importing file, like in Node
+ *   import { helper } from "./utils.ls"
+ *   export double(x):
+ *       return x * 2
+ */
+
+const { parseDeclaration, patternNames } = require('./variables');
+const {
+  isFunctionDefinition,
+  parseFunctionDefinition,
+  parseFunctionDeclaration,
+} = require('./functions');
+const { parseClass } = require('./classes');
+
+// The module that compiled code imports its helpers from; ES modules need
+// the file extension, since the package has no "exports" map
+const RUNTIME_MODULE = 'litescript/runtime';
+
+/**
+ * Checks if "import" starts an import declaration (not import() or import.meta)
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isImport(p) {
+  return !p.isPunct('(', 1) && !p.isPunct('.', 1);
+}
+
+/**
+ * Parses an import name with an optional alias: name or name as alias
+ */
+function parseSpecifier(p) {
+  const imported = p.expect('name').value;
+  const local = p.eat('name', 'as') ? p.expect('name').value : imported;
+  return { imported, local };
+}
+
+/**
+ * Parses a braced list of names: { a, b as c }
+ */
+function parseSpecifierList(p) {
+  const specifiers = [];
+  p.expectPunct('{');
+  while (!p.isPunct('}')) {
+    specifiers.push({ type: 'named', ...parseSpecifier(p) });
+    if (!p.isPunct('}')) p.expectPunct(',');
+  }
+  p.expectPunct('}');
+  return specifiers;
+}
+
+function parseModuleSource(p) {
+  const token = p.expect('string');
+  return p.node('Literal', token, { kind: 'string', raw: token.value });
+}
+
+/**
+ * Parses an import declaration
+ *   import "x"
+ *   import name from "x"
+ *   import * as ns from "x"
+ *   import name, { a, b as c } from "x"
+ * @param {Parser} p - The parser
+ * @returns {object} - An ImportDeclaration node
+ */
+function parseImport(p) {
+  const start = p.expect('name', 'import');
+  const specifiers = [];
+
+  if (!p.is('string')) {
+    if (p.is('name')) {
+      const local = p.expect('name').value;
+      specifiers.push({ type: 'default', imported: 'default', local });
+      if (p.eatPunct(',') && !p.isPunct('{') && !p.isPunct('*')) {
+        throw p.unexpected();
+      }
+    }
+    if (p.eatPunct('*')) {
+      p.expect('name', 'as');
+      const local = p.expect('name').value;
+      specifiers.push({ type: 'namespace', imported: '*', local });
+    } else if (p.isPunct('{')) {
+      specifiers.push(...parseSpecifierList(p));
+    }
+    p.expect('name', 'from');
+  }
+
+  const source = parseModuleSource(p);
+  const node = p.node('ImportDeclaration', start, { specifiers, source });
+  p.endStatement();
+  return node;
+}
+
+/**
+ * Parses an export declaration
+ *   export name(args):          export a function definition
+ *   export class Name:          export a class
+ *   export x = value            export a variable
+ *   export let/const/function   export a JavaScript declaration
+ *   export { a, b as c }        export existing names
+ *   export { a } from "x"       re-export names of another module
+ *   export default expression
+ * @param {Parser} p - The parser
+ * @returns {object} - An export node
+ */
+function parseExport(p) {
+  const start = p.expect('name', 'export');
+
+  if (p.eat('name', 'default')) {
+    if (isFunctionDefinition(p) || p.isName('class')) {
+      const declaration = p.isName('class') ? parseClass(p) : parseFunctionDefinition(p);
+      return p.node('ExportDefaultDeclaration', start, { declaration });
+    }
+    const expression = p.parseAssignment();
+    const node = p.node('ExportDefaultDeclaration', start, { expression });
+    p.endStatement();
+    return node;
+  }
+
+  if (p.isPunct('{')) {
+    const specifiers = parseSpecifierList(p).map(({ imported, local }) => ({
+      // In an export list the first name is the local one
+      local: imported,
+      exported: local,
+    }));
+    const source = p.eat('name', 'from') ? parseModuleSource(p) : null;
+    const node = p.node('ExportNamedDeclaration', start, {
+      declaration: null,
+      specifiers,
+      source,
+    });
+    p.endStatement();
+    return node;
+  }
+
+  let declaration;
+  if (p.isName('let') || p.isName('const') || p.isName('var')) {
+    declaration = parseDeclaration(p);
+  } else if (p.isName('function') || (p.isName('async') && p.isName('function', 1))) {
+    declaration = parseFunctionDeclaration(p);
+  } else if (p.isName('class')) {
+    declaration = parseClass(p);
+  } else if (isFunctionDefinition(p)) {
+    declaration = parseFunctionDefinition(p);
+  } else {
+    const expressionStart = p.peek();
+    const expression = p.parseExpression();
+    if (
+      expression.type !== 'AssignmentExpression' ||
+      expression.operator !== '=' ||
+      expression.left.type !== 'Identifier'
+    ) {
+      throw p.error(
+        'Only definitions and assignments like "export x = 1" can be exported',
+        expressionStart
+      );
+    }
+    p.endStatement();
+    declaration = p.node('ExpressionStatement', expressionStart, { expression });
+  }
+
+  return p.node('ExportNamedDeclaration', start, {
+    declaration,
+    specifiers: [],
+    source: null,
+  });
+}
+
+/**
+ * Returns the module path to use in the output, with .ls rewritten to the
+ * extension of the generated files when building
+ */
+function modulePath(g, source) {
+  const quote = source.raw[0];
+  let path = source.raw.slice(1, -1);
+  if (g.options.extension && /^\.{1,2}\//.test(path)) {
+    path = path.replace(/\.ls$/, g.options.extension);
+  }
+  return `${quote}${path}${quote}`;
+}
+
+/**
+ * Names declared by an exported declaration
+ */
+function declaredNames(declaration) {
+  switch (declaration.type) {
+    case 'FunctionDeclaration':
+    case 'ClassDeclaration':
+      return [declaration.id.name];
+    case 'VariableDeclaration':
+      return declaration.declarations.flatMap(({ id }) => patternNames(id));
+    case 'ExpressionStatement':
+      return [declaration.expression.left.name];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Generates an import declaration
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ImportDeclaration node
+ */
+function generateImport(g, node) {
+  const source = modulePath(g, node.source);
+  const specifiers = node.specifiers;
+
+  if (g.options.format === 'esm') {
+    const parts = [];
+    const named = specifiers
+      .filter(({ type }) => type === 'named')
+      .map(({ imported, local }) =>
+        imported === local ? local : `${imported} as ${local}`
+      );
+    specifiers.forEach(({ type, local }) => {
+      if (type === 'default') parts.push(local);
+      if (type === 'namespace') parts.push(`* as ${local}`);
+    });
+    if (named.length > 0) parts.push(`{ ${named.join(', ')} }`);
+    const from = parts.length > 0 ? `${parts.join(', ')} from ` : '';
+    g.line(`import ${from}${source};`, node);
+    return;
+  }
+
+  if (specifiers.length === 0) {
+    g.line(`require(${source});`, node);
+    return;
+  }
+
+  // Modules written in litescript mark themselves with __esModule, so their
+  // default export is .default; for other modules it is module.exports
+  const needsModule = specifiers.some(({ type }) => type !== 'named');
+  const moduleName = needsModule
+    ? (specifiers.find(({ type }) => type === 'namespace') || {}).local ||
+      `_${specifiers[0].local}_module`
+    : null;
+
+  if (moduleName) {
+    g.line(`const ${moduleName} = require(${source});`, node);
+  }
+  for (const { type, local } of specifiers) {
+    if (type === 'default') {
+      g.line(
+        `const ${local} = ${moduleName} && ${moduleName}.__esModule ? ${moduleName}.default : ${moduleName};`,
+        node
+      );
+    }
+  }
+
+  const named = specifiers
+    .filter(({ type }) => type === 'named')
+    .map(({ imported, local }) =>
+      imported === local ? local : `${imported}: ${local}`
+    );
+  if (named.length > 0) {
+    const from = moduleName || `require(${source})`;
+    g.line(`const { ${named.join(', ')} } = ${from};`, node);
+  }
+}
+
+/**
+ * Generates an export declaration
+ * With cjs, exports are live getters that are added at the top of the module
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ExportNamedDeclaration or ExportDefaultDeclaration node
+ */
+function generateExport(g, node) {
+  const esm = g.options.format === 'esm';
+
+  if (node.type === 'ExportDefaultDeclaration') {
+    if (node.declaration) {
+      g.statement(node.declaration);
+      if (esm) {
+        g.line(`export default ${node.declaration.id.name};`, node);
+      } else {
+        g.addExport('default', node.declaration.id.name);
+      }
+      return;
+    }
+    const value = g.expression(node.expression, g.PRECEDENCE.ASSIGNMENT);
+    g.line(esm ? `export default ${value};` : `exports.default = ${value};`, node);
+    if (!esm) g.addExport('default', null);
+    return;
+  }
+
+  if (node.declaration) {
+    const names = declaredNames(node.declaration);
+    if (esm) {
+      // The declaration is generated first and exported by name, which also
+      // works when auto-declaration turned it into a plain assignment
+      g.statement(node.declaration);
+      g.line(`export { ${names.join(', ')} };`, node);
+    } else {
+      g.statement(node.declaration);
+      names.forEach((name) => g.addExport(name, name));
+    }
+    return;
+  }
+
+  if (node.source) {
+    const source = modulePath(g, node.source);
+    if (esm) {
+      const names = node.specifiers.map(({ local, exported }) =>
+        local === exported ? local : `${local} as ${exported}`
+      );
+      g.line(`export { ${names.join(', ')} } from ${source};`, node);
+    } else {
+      node.specifiers.forEach(({ local, exported }) =>
+        g.addExport(exported, `require(${source}).${local}`)
+      );
+    }
+    return;
+  }
+
+  if (esm) {
+    const names = node.specifiers.map(({ local, exported }) =>
+      local === exported ? local : `${local} as ${exported}`
+    );
+    g.line(`export { ${names.join(', ')} };`, node);
+  } else {
+    node.specifiers.forEach(({ local, exported }) => g.addExport(exported, local));
+  }
+}
+
+/**
+ * Returns the lines that define the cjs exports of a module
+ * @param {object[]} exports - { name, value } pairs; value is the expression
+ *   read by the getter, or null for a plain exports property
+ * @returns {string[]} - Lines to place at the top of the module
+ */
+function exportHeader(exports) {
+  if (exports.length === 0) return [];
+  const lines = ["Object.defineProperty(exports, '__esModule', { value: true });"];
+  for (const { name, value } of exports) {
+    if (value === null) continue;
+    lines.push(
+      `Object.defineProperty(exports, '${name}', { enumerable: true, get: () => ${value} });`
+    );
+  }
+  return lines;
+}
+
+/**
+ * Returns the lines that give a module the runtime helpers it uses: their
+ * code, or with the runtime: 'import' option an import of litescript/runtime
+ * @param {Set<Function>} helpers - The helpers, from src/runtime.js
+ * @param {object} options - The generator options
+ * @returns {string[]} - Lines to place at the top of the module
+ */
+function runtimeHeader(helpers, options) {
+  if (helpers.size === 0) return [];
+  if (options.runtime !== 'import') {
+    return [...helpers].flatMap((helper) => helper.toString().split('\n'));
+  }
+  const names = [...helpers].map((helper) => helper.name).join(', ');
+  if (options.format === 'esm') {
+    return [`import { ${names} } from '${RUNTIME_MODULE}.js';`];
+  }
+  return [`const { ${names} } = require('${RUNTIME_MODULE}');`];
+}
+
+/**
+ * Returns the names a module binds to other modules at its top level:
+ * imports, and names assigned require("x")
+ * @param {object} program - The Program node
+ * @returns {Set<string>}
+ */
+function moduleNames(program) {
+  const names = new Set();
+  const isRequire = (node) =>
+    node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require';
+
+  for (const statement of program.body) {
+    if (statement.type === 'ImportDeclaration') {
+      statement.specifiers.forEach(({ local }) => names.add(local));
+    } else if (statement.type === 'VariableDeclaration') {
+      for (const { id, init } of statement.declarations) {
+        if (id.type === 'Identifier' && isRequire(init)) names.add(id.name);
+      }
+    } else if (statement.type === 'ExpressionStatement') {
+      const { type, left, right } = statement.expression;
+      if (type === 'AssignmentExpression' && left.type === 'Identifier' && isRequire(right)) {
+        names.add(left.name);
+      }
+    }
+  }
+  return names;
+}
+
+module.exports = {
+  isImport,
+  moduleNames,
+  parseImport,
+  parseExport,
+  generateImport,
+  generateExport,
+  exportHeader,
+  runtimeHeader,
+};
@@ -0,0 +1,248 @@
+/**
+ * Operators feature - Python-style keyword operators
+ *   ready and not done        ready && !done
+ *   a or b                    a || b
+ *   x is y, x is not y        x === y, x !== y
+ *   "a" in text, x not in s   membership in arrays, strings, Sets, Maps
+ *                             and objects (their keys)
+ *   0 <= i < n                0 <= i && i < n
+ *   "yes" if ok else "no"     ok ? "yes" : "no"
+ *   (> 3), (in allowed)       operator sections: x => x > 3
+ * These are words, so they are never rewritten inside strings
+ */
+
+const { __in } = require('../runtime');
+
+// Comparisons that can be chained: a < b < c
+const COMPARISONS = new Set(['<', '>', '<=', '>=', '==', '!=', '===', '!==']);
+
+// Words that are operators
+const KEYWORDS = { and: '&&', or: '||', is: '===' };
+
+/**
+ * Returns the operator written as words at the current token, or null
+ * @param {Parser} p - The parser
+ * @returns {string|null} - The operator, like "&&" for and, or "not in"
+ */
+function keywordOperator(p) {
+  const token = p.peek();
+  if (token.type !== 'name') return null;
+  if (token.value === 'not' && p.isName('in', 1)) return 'not in';
+  if (token.value === 'is' && p.isName('not', 1)) return '!==';
+  if (KEYWORDS[token.value]) return KEYWORDS[token.value];
+  if (token.value === 'in' || token.value === 'instanceof') return token.value;
+  return null;
+}
+
+/**
+ * Moves past an operator returned by keywordOperator; not in and is not
+ * are two words
+ */
+function skipOperator(p, operator) {
+  p.next();
+  if (operator === 'not in' || operator === '!==') p.next();
+}
+
+/**
+ * Checks if "not" is the operator, rather than a name
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isNot(p) {
+  if (!p.isName('not') || p.isName('in', 1)) return false;
+  const next = p.peek(1);
+  if (next.type === 'punct') return ['(', '[', '{', '!', '-', '+', '~'].includes(next.value);
+  return !['newline', 'indent', 'dedent', 'eof'].includes(next.type);
+}
+
+/**
+ * Builds a comparison, chaining it to the comparison on its left:
+ * a < b < c is a < b && b < c
+ * @param {Parser} p - The parser
+ * @param {object} start - The first token of the expression
+ * @param {string} operator - The operator
+ * @param {object} left - The left operand
+ * @param {object} right - The right operand
+ * @returns {object} - A BinaryExpression or ChainedComparison node
+ */
+function buildComparison(p, start, operator, left, right) {
+  const chains =
+    COMPARISONS.has(operator) &&
+    !left.parenthesized &&
+    ((left.type === 'BinaryExpression' && COMPARISONS.has(left.operator)) ||
+      left.type === 'ChainedComparison');
+  if (!chains) {
+    return p.node('BinaryExpression', start, { operator, left, right });
+  }
+  if (left.type === 'ChainedComparison') {
+    return p.node('ChainedComparison', start, {
+      operators: [...left.operators, operator],
+      operands: [...left.operands, right],
+    });
+  }
+  return p.node('ChainedComparison', start, {
+    operators: [left.operator, operator],
+    operands: [left.left, left.right, right],
+  });
+}
+
+/**
+ * Checks if "if" after an expression starts a conditional expression,
+ * which needs an "else" later in the same expression
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isConditional(p) {
+  if (!p.isName('if')) return false;
+  let depth = 0;
+  for (let offset = 1; ; offset++) {
+    const token = p.peek(offset);
+    if (['newline', 'indent', 'dedent', 'eof'].includes(token.type)) return false;
+    if (token.type === 'name' && token.value === 'else' && depth === 0) return true;
+    if (token.type !== 'punct') continue;
+    if (['(', '[', '{'].includes(token.value)) depth++;
+    if ([')', ']', '}'].includes(token.value)) {
+      if (depth === 0) return false;
+      depth--;
+    }
+    if (depth === 0 && [',', ':', ';', '='].includes(token.value)) return false;
+  }
+}
+
+/**
+ * Parses the rest of a conditional expression: value if test else other
+ * @param {Parser} p - The parser
+ * @param {object} start - The first token of the expression
+ * @param {object} consequent - The value before "if"
+ * @returns {object} - A ConditionalExpression node
+ */
+function parseConditionalExpression(p, start, consequent) {
+  p.expect('name', 'if');
+  const test = p.parseBinary(0);
+  p.expect('name', 'else');
+  const alternate = p.parseConditional();
+  return p.node('ConditionalExpression', start, { test, consequent, alternate });
+}
+
+/**
+ * Checks if the operator after an opening parenthesis starts an operator
+ * section like (> 3): an operator that cannot start an expression
+ * @param {Parser} p - The parser, after the parenthesis
+ * @returns {boolean}
+ */
+function isOperatorSection(p) {
+  const token = p.peek();
+  if (token.type === 'name') {
+    return token.value === 'in' || (token.value === 'not' && p.isName('in', 1));
+  }
+  // - and + would be signs: (-3)
+  const operator = p.binaryOperator();
+  return operator !== null && operator !== '-' && operator !== '+';
+}
+
+/**
+ * Returns a name for the parameter of an operator section that the
+ * operand does not use
+ */
+function sectionParameter(node) {
+  const names = new Set();
+  const visit = (child) => {
+    if (!child || typeof child !== 'object') return;
+    if (child.type === 'Identifier') names.add(child.name);
+    for (const key of Object.keys(child)) {
+      if (key === 'loc') continue;
+      const value = child[key];
+      if (Array.isArray(value)) value.forEach(visit);
+      else if (value && typeof value.type === 'string') visit(value);
+    }
+  };
+  visit(node);
+  let name = 'x';
+  for (let i = 2; names.has(name); i++) name = `x${i}`;
+  return name;
+}
+
+/**
+ * Generates an operator section as an arrow function: (> 3) is x => x > 3
+ * @param {Generator} g - The code generator
+ * @param {object} node - The OperatorSection node
+ * @returns {string}
+ */
+function generateSection(g, node) {
+  const name = sectionParameter(node.argument);
+  const body = {
+    type: 'BinaryExpression',
+    operator: node.operator,
+    left: { type: 'Identifier', name },
+    right: node.argument,
+  };
+  return `${name} => ${g.expression(body, g.PRECEDENCE.ASSIGNMENT)}`;
+}
+
+/**
+ * Checks if an operand can be written twice without changing what the
+ * code does: a name, a literal or a property of a name
+ */
+function isSimple(node) {
+  if (node.type === 'Identifier' || node.type === 'Literal') return true;
+  return node.type === 'MemberExpression' && !node.computed && isSimple(node.object);
+}
+
+/**
+ * Generates a chained comparison; the operands in the middle are only
+ * evaluated once
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ChainedComparison node
+ * @returns {string}
+ */
+function generateChain(g, node) {
+  const { operators, operands } = node;
+  const level = g.PRECEDENCE.EQUALITY + 1;
+  const middle = operands.slice(1, -1);
+
+  if (middle.every(isSimple)) {
+    const code = operands.map((operand) => g.expression(operand, level));
+    return operators
+      .map((operator, index) => `${code[index]} ${operator} ${code[index + 1]}`)
+      .join(' && ');
+  }
+
+  // Pass the operands to an arrow function, so that each one is
+  // evaluated once and in order; the last one only when it is needed
+  const names = operands.slice(0, -1).map((_, index) => `_${index}`);
+  const last = g.expression(operands[operands.length - 1], level);
+  const tests = operators.map((operator, index) => {
+    const right = index === operators.length - 1 ? last : names[index + 1];
+    return `${names[index]} ${operator} ${right}`;
+  });
+  const args = operands
+    .slice(0, -1)
+    .map((operand) => g.expression(operand, g.PRECEDENCE.ASSIGNMENT));
+  return `((${names.join(', ')}) => ${tests.join(' && ')})(${args.join(', ')})`;
+}
+
+/**
+ * Generates a membership test: item in container, item not in container
+ * @param {Generator} g - The code generator
+ * @param {object} node - The BinaryExpression node
+ * @returns {string}
+ */
+function generateMembership(g, node) {
+  const item = g.expression(node.left, g.PRECEDENCE.ASSIGNMENT);
+  const container = g.expression(node.right, g.PRECEDENCE.ASSIGNMENT);
+  const call = `${g.helper(__in)}(${item}, ${container})`;
+  return node.operator === 'not in' ? `!${call}` : call;
+}
+
+module.exports = {
+  keywordOperator,
+  skipOperator,
+  isNot,
+  buildComparison,
+  isConditional,
+  parseConditionalExpression,
+  isOperatorSection,
+  generateSection,
+  generateChain,
+  generateMembership,
+};
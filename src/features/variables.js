@@ -1,74 +1,253 @@
 /**
  * Variables feature - automatic variable declarations
- * Removes let/const keywords and automatically declares variables on assignment
+ * let/const/var are optional: the first assignment to a name declares it
  * Similar to Python: variable = value automatically declares the variable
+ * in the function it is assigned in, unless the function says otherwise:
+ *   global counter
+ *   nonlocal total
+ * Where each "let" goes is worked out by src/scope.js
+ * Several names can be assigned at once, and values can be destructured:
+ *   a, b = b, a
+ *   [first, ...rest] = list
+ *   {name, age = 0} = person
  */
 
+const LAYOUT = new Set(['newline', 'indent', 'dedent']);
+
+/**
+ * Parses an explicit declaration: let/const/var a = 1, b
+ * @param {Parser} p - The parser
+ * @returns {object} - A VariableDeclaration node
+ */
+function parseDeclaration(p) {
+  const start = p.next();
+  const declarations = [];
+
+  do {
+    const id = p.isPunct('[')
+      ? p.parseArray()
+      : p.isPunct('{')
+        ? p.parseObject()
+        : p.parseIdentifier();
+    const init = p.eatPunct('=') ? p.parseAssignment() : null;
+    declarations.push({ id, init });
+  } while (p.eatPunct(','));
+
+  const node = p.node('VariableDeclaration', start, {
+    kind: start.value,
+    declarations,
+  });
+  p.endStatement();
+  return node;
+}
+
 /**
- * Transforms variable declarations in the source code
- * @param {string} source - The source code to transform
- * @returns {string} - The transformed code with automatic declarations
+ * Checks if the statement is a multiple assignment: a, b = 1, 2
+ * (a comma before the first "=" outside of brackets)
+ * @param {Parser} p - The parser
+ * @returns {boolean}
  */
-function transformVariables(source) {
-  // Step 1: Replace const with let
-  let output = source.replace(/\bconst\b/g, 'let');
-
-  // Step 2: Process line by line
-  // - Remove let/const/var from explicit declarations and track them
-  // - Add let to standalone assignments that weren't explicitly declared
-  const lines = output.split('\n');
-  const result = [];
-  const declaredVars = new Set(); // Track variables that were explicitly declared
-
-  for (let i = 0; i < lines.length; i++) {
-    let line = lines[i];
-    let trimmed = line.trim();
-
-    // Skip empty lines
-    if (!trimmed) {
-      result.push(line);
+function isMultipleAssignment(p) {
+  let depth = 0;
+  let comma = false;
+  for (let offset = 0; !p.is('eof', undefined, offset); offset++) {
+    const token = p.peek(offset);
+    if (token.type !== 'punct') {
+      // Newlines inside braces do not end the statement
+      if (depth === 0 && LAYOUT.has(token.type)) return false;
       continue;
     }
-
-    // Check if this is an explicit declaration: let/const/var identifier = ...
-    const declarationMatch = trimmed.match(/^(let|const|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=/);
-    
-    if (declarationMatch) {
-      // Remove the let/const/var keyword, then process as a regular assignment
-      const varName = declarationMatch[2];
-      const indent = line.match(/^(\s*)/)[1];
-      const afterKeyword = trimmed.substring(trimmed.indexOf(varName));
-      // Remove the keyword and process the assignment below
-      line = indent + afterKeyword;
-      trimmed = line.trim();
+    if ('([{'.includes(token.value)) {
+      depth++;
+    } else if (')]}'.includes(token.value)) {
+      depth--;
+      if (depth < 0) return false;
+    } else if (depth === 0) {
+      if (token.value === ',') comma = true;
+      if (token.value === '=') return comma;
+      if (token.value === ';') return false;
     }
-    
-    // Check for variable assignment: identifier = value
-    // (either from explicit declaration we just processed, or standalone)
-    const assignmentMatch = trimmed.match(/^([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=/);
-    
-    if (assignmentMatch) {
-      const varName = assignmentMatch[1];
-      const beforeVar = trimmed.substring(0, trimmed.indexOf(varName));
-      
-      // Check if it's a property access (obj.prop or arr[index])
-      const isPropertyAccess = /[\.\[\]$]/.test(beforeVar);
-      
-      // Add let if it's not a property access and variable hasn't been declared yet
-      if (!isPropertyAccess && !declaredVars.has(varName)) {
-        const indent = line.match(/^(\s*)/)[1];
-        const afterVar = trimmed.substring(trimmed.indexOf(varName));
-        line = indent + 'let ' + afterVar;
-        declaredVars.add(varName);
-      }
+  }
+  return false;
+}
+
+/**
+ * Parses a multiple assignment into an array destructuring assignment
+ * a, b = b, a becomes [a, b] = [b, a], so the values are evaluated before
+ * any name is assigned; a, b = pair becomes [a, b] = pair
+ * @param {Parser} p - The parser
+ * @returns {object} - An ExpressionStatement node
+ */
+function parseMultipleAssignment(p) {
+  const start = p.peek();
+  const targets = [];
+  do {
+    const targetStart = p.peek();
+    if (p.eatPunct('...')) {
+      const argument = p.parseConditional();
+      p.checkAssignable(argument);
+      targets.push(p.node('SpreadElement', targetStart, { argument }));
+    } else {
+      const target = p.parseConditional();
+      p.checkAssignable(target);
+      targets.push(target);
     }
+  } while (p.eatPunct(','));
+  const left = p.node('ArrayExpression', start, { elements: targets });
+
+  p.expectPunct('=');
+  const valuesStart = p.peek();
+  const values = [];
+  do {
+    values.push(p.parseSpreadOrAssignment());
+  } while (p.eatPunct(','));
+  const right =
+    values.length === 1 && values[0].type !== 'SpreadElement'
+      ? values[0]
+      : p.node('ArrayExpression', valuesStart, { elements: values });
+
+  const expression = p.node('AssignmentExpression', start, {
+    operator: '=',
+    left,
+    right,
+  });
+  const node = p.node('ExpressionStatement', start, { expression });
+  p.endStatement();
+  return node;
+}
+
+/**
+ * Checks if a statement starting with "{" destructures an object
+ * ({name, age} = person) rather than being a block
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isObjectPattern(p) {
+  const close = p.findClosing();
+  return close !== undefined && p.isPunct('=', close + 1);
+}
+
+/**
+ * Checks if "global" or "nonlocal" starts a scope declaration
+ * (and is not a variable: global.process, nonlocal = 1)
+ * @param {Parser} p - The parser
+ * @returns {boolean}
+ */
+function isScopeDeclaration(p) {
+  const next = p.peek(1);
+  return next.type === 'name' && !p.isReserved(next.value);
+}
+
+/**
+ * Parses a scope declaration: global a, b or nonlocal a
+ * @param {Parser} p - The parser
+ * @returns {object} - A ScopeDeclaration node
+ */
+function parseScopeDeclaration(p) {
+  const start = p.next();
+  const names = [];
+  do {
+    names.push(p.parseIdentifier());
+  } while (p.eatPunct(','));
+
+  const node = p.node('ScopeDeclaration', start, { kind: start.value, names });
+  p.endStatement();
+  return node;
+}
 
-    result.push(line);
+/**
+ * Collects the names bound by a declaration target or destructuring pattern
+ * @param {object} node - An Identifier, ArrayExpression or ObjectExpression
+ * @param {string[]} [names] - Array to add the names to
+ * @returns {string[]} - The bound names
+ */
+function patternNames(node, names = []) {
+  if (!node) return names;
+  switch (node.type) {
+    case 'Identifier':
+      names.push(node.name);
+      break;
+    case 'ArrayExpression':
+      node.elements.forEach((element) => patternNames(element, names));
+      break;
+    case 'ObjectExpression':
+      node.properties.forEach((property) =>
+        patternNames(
+          property.type === 'SpreadElement' ? property : property.value,
+          names
+        )
+      );
+      break;
+    case 'AssignmentExpression':
+      patternNames(node.left, names);
+      break;
+    case 'SpreadElement':
+      patternNames(node.argument, names);
+      break;
+    default:
+      break;
   }
+  return names;
+}
 
-  return result.join('\n');
+/**
+ * Whether a statement declares all the names of a target with let
+ */
+function declaresAll(g, node, id) {
+  const names = patternNames(id);
+  return names.length > 0 && names.every((name) => g.declares(node, name));
+}
+
+/**
+ * Generates an explicit declaration
+ * The keyword is dropped and each name is declared with let where the
+ * scope analysis puts it, so "let x = 1" followed by "let x = 2" simply
+ * reassigns x
+ * @param {Generator} g - The code generator
+ * @param {object} node - The VariableDeclaration node
+ */
+function generateDeclaration(g, node) {
+  for (const { id, init } of node.declarations) {
+    const value = init
+      ? ` = ${g.expression(init, g.PRECEDENCE.ASSIGNMENT)}`
+      : '';
+
+    if (declaresAll(g, node, id)) {
+      g.line(`let ${g.expression(id)}${value};`, node);
+    } else if (init) {
+      const code = `${g.target(id)}${value}`;
+      g.line(id.type === 'ObjectExpression' ? `(${code});` : `${code};`, node);
+    }
+  }
+}
+
+/**
+ * Returns the declaration keyword for an expression statement
+ * "x = value" declares x with let when the scope analysis says so
+ * @param {Generator} g - The code generator
+ * @param {object} node - The ExpressionStatement node
+ * @returns {string} - "let " or an empty string
+ */
+function declarationPrefix(g, node) {
+  const expression = node.expression;
+  if (
+    expression.type !== 'AssignmentExpression' ||
+    expression.operator !== '=' ||
+    !declaresAll(g, node, expression.left)
+  ) {
+    return '';
+  }
+  return 'let ';
 }
 
 module.exports = {
-  transformVariables,
+  parseDeclaration,
+  isMultipleAssignment,
+  parseMultipleAssignment,
+  isObjectPattern,
+  isScopeDeclaration,
+  parseScopeDeclaration,
+  patternNames,
+  generateDeclaration,
+  declarationPrefix,
 };
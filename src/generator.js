@@ -0,0 +1,728 @@
+/**
+ * Code generator for litescript
+ * Turns the AST built by the parser back into JavaScript source code
+ * Language constructs are generated by the modules in src/features
+ */
+
+const { syntaxError } = require('./tokenizer');
+const { createSourceMap } = require('./sourcemap');
+const { analyzeScopes } = require('./scope');
+const {
+  generateBlock,
+  generateIf,
+  generateTry,
+  generateSwitch,
+  generateRaise,
+} = require('./features/codeblocks');
+const {
+  generateDeclaration,
+  declarationPrefix,
+} = require('./features/variables');
+const { generateFunction } = require('./features/functions');
+const {
+  generateForRange,
+  generateForEach,
+  generateFor,
+  generateWhile,
+  generateDoWhile,
+  generateRepeat,
+  generateJump,
+} = require('./features/loops');
+const {
+  generateArrayProperty,
+  generateArrayCall,
+} = require('./features/arrays');
+const { generateLog } = require('./features/log');
+const { checkAwait, checkAwaitExports, wrapTopLevelAwait } = require('./features/async');
+const { generateClass } = require('./features/classes');
+const { checkYield, generateYield } = require('./features/generators');
+const { generateDecorators } = require('./features/decorators');
+const { generateMatch } = require('./features/match');
+const {
+  generateChain,
+  generateMembership,
+  generateSection,
+} = require('./features/operators');
+const { generateComprehension } = require('./features/comprehensions');
+const {
+  generateImport,
+  generateExport,
+  exportHeader,
+  runtimeHeader,
+  moduleNames,
+} = require('./features/modules');
+
+/**
+ * Expression precedence levels, higher binds tighter
+ */
+const PRECEDENCE = {
+  SEQUENCE: 0,
+  ASSIGNMENT: 1,
+  CONDITIONAL: 2,
+  NULLISH: 3,
+  OR: 4,
+  AND: 5,
+  BIT_OR: 6,
+  BIT_XOR: 7,
+  BIT_AND: 8,
+  EQUALITY: 9,
+  RELATIONAL: 10,
+  SHIFT: 11,
+  ADDITIVE: 12,
+  MULTIPLICATIVE: 13,
+  EXPONENT: 14,
+  UNARY: 15,
+  POSTFIX: 16,
+  CALL: 17,
+  PRIMARY: 18,
+};
+
+const BINARY_PRECEDENCE = {
+  '??': PRECEDENCE.NULLISH,
+  '||': PRECEDENCE.OR,
+  '&&': PRECEDENCE.AND,
+  '|': PRECEDENCE.BIT_OR,
+  '^': PRECEDENCE.BIT_XOR,
+  '&': PRECEDENCE.BIT_AND,
+  '==': PRECEDENCE.EQUALITY,
+  '!=': PRECEDENCE.EQUALITY,
+  '===': PRECEDENCE.EQUALITY,
+  '!==': PRECEDENCE.EQUALITY,
+  '<': PRECEDENCE.RELATIONAL,
+  '>': PRECEDENCE.RELATIONAL,
+  '<=': PRECEDENCE.RELATIONAL,
+  '>=': PRECEDENCE.RELATIONAL,
+  instanceof: PRECEDENCE.RELATIONAL,
+  in: PRECEDENCE.RELATIONAL,
+  '<<': PRECEDENCE.SHIFT,
+  '>>': PRECEDENCE.SHIFT,
+  '>>>': PRECEDENCE.SHIFT,
+  '+': PRECEDENCE.ADDITIVE,
+  '-': PRECEDENCE.ADDITIVE,
+  '*': PRECEDENCE.MULTIPLICATIVE,
+  '/': PRECEDENCE.MULTIPLICATIVE,
+  '%': PRECEDENCE.MULTIPLICATIVE,
+  '**': PRECEDENCE.EXPONENT,
+};
+
+const INDENT = '  ';
+
+// Markers placed in the generated code where a node starts; they are removed
+// again once the code is complete and turned into source map segments
+const MARK_START = '\u0000';
+const MARK_END = '\u0001';
+const MARK_PATTERN = /\u0000\d+\u0001/g;
+
+/**
+ * Removes position markers from a piece of generated code
+ */
+function plain(code) {
+  return code.replace(MARK_PATTERN, '');
+}
+
+/**
+ * Returns every name written in a tree, so that temporary variables can
+ * avoid them
+ */
+function usedNames(node, names = new Set()) {
+  if (!node || typeof node !== 'object') return names;
+  if (node.type === 'Identifier') names.add(node.name);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc') continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach((item) => usedNames(item, names));
+    } else if (value && typeof value.type === 'string') {
+      usedNames(value, names);
+    }
+  }
+  return names;
+}
+
+class Generator {
+  /**
+   * @param {string} source - The litescript source the AST was parsed from
+   * @param {object} [options] - See generate()
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.options = { format: 'cjs', ...options };
+    this.lines = [];
+    this.level = 0;
+    this.scope = null;
+    this.exports = [];
+    // Runtime helpers used by the program, see src/runtime.js
+    this.helpers = new Set();
+    this.marks = [];
+    // Set while generating a method that uses self as this
+    this.selfIsThis = false;
+    // Names that stand for other code, like the names bound by a case
+    // pattern while its guard is generated
+    this.renames = null;
+    // Name of the error caught by the except clause being generated
+    this.caughtError = null;
+    // Where break goes, when the loop it leaves has an else block: the
+    // labeled block around the innermost loop, and by loop label
+    this.breakTarget = null;
+    this.breakTargets = new Map();
+    this.temps = new Map();
+    // Names in the program, which temporary variables must not shadow
+    this.names = new Set();
+    this.PRECEDENCE = PRECEDENCE;
+  }
+
+  // ---------------------------------------------------------------------
+  // Output helpers
+  // ---------------------------------------------------------------------
+
+  indent() {
+    return INDENT.repeat(this.level);
+  }
+
+  /**
+   * Writes a line of code at the current indentation level
+   * @param {string} code - The code to write
+   * @param {object} [node] - The node the line was generated from
+   */
+  line(code, node) {
+    this.lines.push(this.indent() + this.mark(node) + code);
+  }
+
+  /**
+   * Returns a marker that records where the code for a node starts
+   */
+  mark(node) {
+    if (!node || !node.loc) return '';
+    this.marks.push(node.loc);
+    return `${MARK_START}${this.marks.length - 1}${MARK_END}`;
+  }
+
+  /**
+   * Returns a marker for code that has no place in the source, like the
+   * runtime helpers, so that errors in it are not shown at a wrong line
+   */
+  unmapped() {
+    this.marks.push(null);
+    return `${MARK_START}${this.marks.length - 1}${MARK_END}`;
+  }
+
+  /**
+   * Writes a list of statements one level deeper
+   */
+  block(statements) {
+    this.level++;
+    statements.forEach((statement) => this.statement(statement));
+    this.level--;
+  }
+
+  /**
+   * Generates statements into a braced block usable inside an expression
+   */
+  braced(statements) {
+    if (statements.length === 0) return '{}';
+    const saved = this.lines;
+    this.lines = [];
+    this.block(statements);
+    const inner = this.lines;
+    this.lines = saved;
+    return `{\n${inner.join('\n')}\n${this.indent()}}`;
+  }
+
+  /**
+   * Returns the original source text of a node
+   */
+  text(node) {
+    return this.source.slice(node.start, node.end);
+  }
+
+  error(message, node) {
+    return syntaxError(message, node.loc);
+  }
+
+  /**
+   * Marks a runtime helper as used and returns its name
+   * @param {Function} helper - A function from src/runtime.js
+   * @returns {string}
+   */
+  helper(helper) {
+    this.helpers.add(helper);
+    return helper.name;
+  }
+
+  /**
+   * Returns a new name for a temporary variable: _name, _name2, ..., skipping
+   * the names the program uses
+   */
+  temp(name) {
+    let count = this.temps.get(name) || 0;
+    let temp;
+    do {
+      count++;
+      temp = count === 1 ? `_${name}` : `_${name}${count}`;
+    } while (this.names.has(temp));
+    this.temps.set(name, count);
+    return temp;
+  }
+
+  /**
+   * Whether a statement declares a name with let; see src/scope.js
+   */
+  declares(node, name) {
+    const names = this.scope.inline.get(node);
+    return Boolean(names && names.has(name));
+  }
+
+  /**
+   * Records a cjs export; see exportHeader in src/features/modules.js
+   */
+  addExport(name, value) {
+    this.exports.push({ name, value });
+  }
+
+  // ---------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------
+
+  /**
+   * Generates a whole program
+   * @param {object} node - The Program node
+   * @returns {{code: string, lines: object[][]}} - The code and, for each
+   *   generated line, the source map segments of the nodes starting on it
+   */
+  program(node) {
+    this.scope = analyzeScopes(node);
+    this.names = usedNames(node);
+    this.modules = moduleNames(node);
+    checkYield(node);
+    const topLevelAwait = checkAwait(node) && this.options.format !== 'esm';
+    if (topLevelAwait) {
+      checkAwaitExports(node);
+      this.level++;
+    }
+
+    node.body.forEach((statement) => this.statement(statement));
+
+    // Exports are defined before the body runs, so that modules which
+    // import each other see the functions they need; the runtime helpers
+    // come next
+    const header = [
+      ...exportHeader(this.exports),
+      ...runtimeHeader(this.helpers, this.options),
+    ];
+    this.lines.unshift(...header.map((line) => this.indent() + this.unmapped() + line));
+    if (topLevelAwait) {
+      this.level--;
+      this.lines = wrapTopLevelAwait(this.lines, this.mark(node));
+    }
+
+    // Keep a shebang line so that built scripts stay executable
+    const shebang = this.source.match(/^#!.*/);
+    if (shebang) this.lines.unshift(shebang[0]);
+
+    const marked = this.lines.join('\n') + '\n';
+
+    let code = '';
+    let lineSegments = [];
+    const lines = [lineSegments];
+    let column = 0;
+    for (let i = 0; i < marked.length; i++) {
+      const char = marked[i];
+      if (char === MARK_START) {
+        const end = marked.indexOf(MARK_END, i);
+        const loc = this.marks[Number(marked.slice(i + 1, end))];
+        const last = lineSegments[lineSegments.length - 1];
+        // Only the outermost node starting at a column is kept
+        if (!last || last.column !== column) {
+          lineSegments.push(
+            loc ? { column, sourceLine: loc.line - 1, sourceColumn: loc.column } : { column }
+          );
+        }
+        i = end;
+        continue;
+      }
+      code += char;
+      if (char === '\n') {
+        lineSegments = [];
+        lines.push(lineSegments);
+        column = 0;
+      } else {
+        column++;
+      }
+    }
+    return { code, lines };
+  }
+
+  statement(node) {
+    // Variables used across several blocks are declared before the first
+    const hoisted = this.scope.hoisted.get(node);
+    if (hoisted && hoisted.size > 0) {
+      this.line(`let ${[...hoisted].join(', ')};`);
+    }
+
+    switch (node.type) {
+      case 'ExpressionStatement':
+        return this.expressionStatement(node);
+      case 'VariableDeclaration':
+        return generateDeclaration(this, node);
+      case 'FunctionDeclaration':
+        generateFunction(this, node);
+        if (node.decorators) generateDecorators(this, node);
+        return undefined;
+      case 'ClassDeclaration':
+        return generateClass(this, node);
+      case 'BlockStatement':
+        return generateBlock(this, node);
+      case 'IfStatement':
+        return generateIf(this, node);
+      case 'ForRangeStatement':
+        return generateForRange(this, node);
+      case 'ForOfStatement':
+      case 'ForInStatement':
+        return generateForEach(this, node);
+      case 'ForStatement':
+        return generateFor(this, node);
+      case 'WhileStatement':
+        return generateWhile(this, node);
+      case 'DoWhileStatement':
+        return generateDoWhile(this, node);
+      case 'RepeatStatement':
+        return generateRepeat(this, node);
+      case 'MatchStatement':
+        return generateMatch(this, node);
+      case 'ReturnStatement':
+        return this.line(
+          node.argument ? `return ${this.expression(node.argument)};` : 'return;',
+          node
+        );
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return generateJump(this, node);
+      case 'ThrowStatement':
+        return this.line(`throw ${this.expression(node.argument)};`, node);
+      case 'TryStatement':
+        return generateTry(this, node);
+      case 'SwitchStatement':
+        return generateSwitch(this, node);
+      case 'RaiseStatement':
+        return generateRaise(this, node);
+      case 'ScopeDeclaration':
+        // Only used by the scope analysis
+        return undefined;
+      case 'ImportDeclaration':
+        return generateImport(this, node);
+      case 'ExportNamedDeclaration':
+      case 'ExportDefaultDeclaration':
+        return generateExport(this, node);
+      default:
+        throw this.error(`Cannot generate ${node.type}`, node);
+    }
+  }
+
+  expressionStatement(node) {
+    const prefix = declarationPrefix(this, node);
+    let code = this.expression(node.expression);
+    // Statements starting with these would not parse as expressions
+    if (!prefix && /^(\{|function\b|class\b|let\s*\[)/.test(plain(code))) {
+      code = `(${code})`;
+    }
+    this.line(`${prefix}${code};`, node);
+  }
+
+  // ---------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------
+
+  /**
+   * Generates an expression, adding parentheses when its precedence is lower
+   * than what the surrounding code requires
+   * @param {object} node - The expression node
+   * @param {number} [minPrecedence] - The lowest precedence allowed unwrapped
+   * @returns {string} - The generated code
+   */
+  expression(node, minPrecedence = PRECEDENCE.SEQUENCE) {
+    const code = this.mark(node) + this.generateExpression(node);
+    if (this.precedenceOf(node) < minPrecedence) {
+      return `(${code})`;
+    }
+    return code;
+  }
+
+  precedenceOf(node) {
+    switch (node.type) {
+      case 'SequenceExpression':
+        return PRECEDENCE.SEQUENCE;
+      case 'AssignmentExpression':
+      case 'ArrowFunctionExpression':
+      case 'OperatorSection':
+      case 'YieldExpression':
+        return PRECEDENCE.ASSIGNMENT;
+      case 'ConditionalExpression':
+        return PRECEDENCE.CONDITIONAL;
+      case 'BinaryExpression':
+        if (node.operator === 'in') return PRECEDENCE.CALL;
+        if (node.operator === 'not in') return PRECEDENCE.UNARY;
+        return BINARY_PRECEDENCE[node.operator];
+      case 'ChainedComparison':
+        return PRECEDENCE.AND;
+      case 'UnaryExpression':
+      case 'AwaitExpression':
+        return PRECEDENCE.UNARY;
+      case 'ComprehensionExpression':
+        return node.async ? PRECEDENCE.UNARY : PRECEDENCE.CALL;
+      case 'UpdateExpression':
+        return node.prefix ? PRECEDENCE.UNARY : PRECEDENCE.POSTFIX;
+      case 'CallExpression':
+      case 'MemberExpression':
+      case 'NewExpression':
+      case 'TaggedTemplateExpression':
+        return PRECEDENCE.CALL;
+      default:
+        return PRECEDENCE.PRIMARY;
+    }
+  }
+
+  generateExpression(node) {
+    switch (node.type) {
+      case 'Identifier':
+        if (this.renames && this.renames.has(node.name)) {
+          return this.renames.get(node.name);
+        }
+        return node.name === 'self' && this.selfIsThis ? 'this' : node.name;
+      case 'Literal':
+        return node.raw;
+      case 'TemplateLiteral':
+        return this.template(node);
+      case 'TaggedTemplateExpression':
+        return `${this.expression(node.tag, PRECEDENCE.CALL)}${this.template(node.quasi)}`;
+      case 'ArrayExpression':
+        return `[${node.elements
+          .map((element) =>
+            element ? this.expression(element, PRECEDENCE.ASSIGNMENT) : ''
+          )
+          .join(', ')}${node.elements[node.elements.length - 1] === null ? ',' : ''}]`;
+      case 'ObjectExpression':
+        return this.object(node);
+      case 'SpreadElement':
+        return `...${this.expression(node.argument, PRECEDENCE.ASSIGNMENT)}`;
+      case 'FunctionExpression': {
+        const name = node.id ? ` ${node.id.name}` : '';
+        const star = node.generator ? '*' : '';
+        return `${node.async ? 'async ' : ''}function${star}${name}(${this.params(node.params)}) ${this.braced(node.body.body)}`;
+      }
+      case 'ArrowFunctionExpression':
+        return this.arrow(node);
+      case 'YieldExpression':
+        return generateYield(this, node);
+      case 'SequenceExpression':
+        return node.expressions
+          .map((expression) => this.expression(expression, PRECEDENCE.ASSIGNMENT))
+          .join(', ');
+      case 'AssignmentExpression':
+        return `${this.target(node.left)} ${node.operator} ${this.expression(node.right, PRECEDENCE.ASSIGNMENT)}`;
+      case 'ConditionalExpression':
+        return `${this.expression(node.test, PRECEDENCE.NULLISH)} ? ${this.expression(node.consequent, PRECEDENCE.ASSIGNMENT)} : ${this.expression(node.alternate, PRECEDENCE.ASSIGNMENT)}`;
+      case 'BinaryExpression':
+        if (node.operator === 'in' || node.operator === 'not in') {
+          return generateMembership(this, node);
+        }
+        return this.binary(node);
+      case 'ChainedComparison':
+        return generateChain(this, node);
+      case 'OperatorSection':
+        return generateSection(this, node);
+      case 'ComprehensionExpression':
+        return generateComprehension(this, node);
+      case 'UnaryExpression':
+        return this.unary(node);
+      case 'AwaitExpression':
+        return `await ${this.expression(node.argument, PRECEDENCE.UNARY)}`;
+      case 'UpdateExpression':
+        return node.prefix
+          ? `${node.operator}${this.target(node.argument, PRECEDENCE.UNARY)}`
+          : `${this.target(node.argument, PRECEDENCE.CALL)}${node.operator}`;
+      case 'MemberExpression':
+        return generateArrayProperty(this, node) || this.member(node);
+      case 'CallExpression':
+        return (
+          generateLog(this, node) ||
+          generateArrayCall(this, node) ||
+          this.call(node)
+        );
+      case 'NewExpression': {
+        const wrap = node.callee.type === 'CallExpression';
+        const callee = this.expression(node.callee, PRECEDENCE.CALL);
+        return `new ${wrap ? `(${callee})` : callee}(${this.args(node.arguments)})`;
+      }
+      default:
+        throw this.error(`Cannot generate ${node.type}`, node);
+    }
+  }
+
+  /**
+   * Generates an assignment target, which never gets array sugar
+   */
+  target(node, minPrecedence = PRECEDENCE.CALL) {
+    if (node.type === 'MemberExpression') return this.member(node);
+    return this.expression(node, minPrecedence);
+  }
+
+  member(node) {
+    let object = this.expression(node.object, PRECEDENCE.CALL);
+    // 1.toString() would be read as a decimal point
+    if (node.object.type === 'Literal' && /^\d+$/.test(node.object.raw)) {
+      object = `(${object})`;
+    }
+    if (node.computed) {
+      const dot = node.optional ? '?.' : '';
+      return `${object}${dot}[${this.expression(node.property)}]`;
+    }
+    if (node.property.name.endsWith('!')) {
+      throw this.error(`Unknown array operation ".${node.property.name}"`, node.property);
+    }
+    return `${object}${node.optional ? '?.' : '.'}${node.property.name}`;
+  }
+
+  call(node) {
+    // The callee is a plain method call, so arr.sort(fn) stays native
+    const callee =
+      node.callee.type === 'MemberExpression'
+        ? this.member(node.callee)
+        : this.expression(node.callee, PRECEDENCE.CALL);
+    const optional = node.optional ? '?.' : '';
+    return `${callee}${optional}(${this.args(node.arguments)})`;
+  }
+
+  args(nodes) {
+    return nodes
+      .map((node) => this.expression(node, PRECEDENCE.ASSIGNMENT))
+      .join(', ');
+  }
+
+  params(nodes) {
+    return nodes
+      .map((node) => this.expression(node, PRECEDENCE.ASSIGNMENT))
+      .join(', ');
+  }
+
+  arrow(node) {
+    const params =
+      node.params.length === 1 && node.params[0].type === 'Identifier'
+        ? node.params[0].name
+        : `(${this.params(node.params)})`;
+    let body;
+    if (node.body.type === 'BlockStatement') {
+      body = this.braced(node.body.body);
+    } else {
+      body = this.expression(node.body, PRECEDENCE.ASSIGNMENT);
+      if (plain(body).startsWith('{')) body = `(${body})`;
+    }
+    return `${node.async ? 'async ' : ''}${params} => ${body}`;
+  }
+
+  binary(node) {
+    const precedence = BINARY_PRECEDENCE[node.operator];
+    const isExponent = node.operator === '**';
+    let left = this.expression(
+      node.left,
+      isExponent ? PRECEDENCE.POSTFIX : precedence
+    );
+    let right = this.expression(
+      node.right,
+      isExponent ? precedence : precedence + 1
+    );
+
+    // ?? can't be mixed with || and && without parentheses
+    const isNullish = (child) =>
+      child.type === 'BinaryExpression' && child.operator === '??';
+    const isLogical = (child) =>
+      child.type === 'BinaryExpression' &&
+      (child.operator === '||' || child.operator === '&&');
+    if (node.operator === '??') {
+      if (isLogical(node.left)) left = `(${left})`;
+      if (isLogical(node.right)) right = `(${right})`;
+    } else if (node.operator === '||' || node.operator === '&&') {
+      if (isNullish(node.left)) left = `(${left})`;
+      if (isNullish(node.right)) right = `(${right})`;
+    }
+
+    return `${left} ${node.operator} ${right}`;
+  }
+
+  unary(node) {
+    const argument = this.expression(node.argument, PRECEDENCE.UNARY);
+    if (/^[a-z]/.test(node.operator)) {
+      return `${node.operator} ${argument}`;
+    }
+    // Keep - -x and + +x apart
+    const space = plain(argument).startsWith(node.operator[0]) ? ' ' : '';
+    return `${node.operator}${space}${argument}`;
+  }
+
+  object(node) {
+    if (node.properties.length === 0) return '{}';
+    const properties = node.properties.map((property) => {
+      if (property.type === 'SpreadElement') {
+        return this.expression(property, PRECEDENCE.ASSIGNMENT);
+      }
+      const key = property.computed
+        ? `[${this.expression(property.key, PRECEDENCE.ASSIGNMENT)}]`
+        : property.key.type === 'Identifier'
+          ? property.key.name
+          : this.expression(property.key);
+      if (property.method) {
+        const prefix = property.kind === 'init' ? '' : `${property.kind} `;
+        const fn = property.value;
+        return `${prefix}${key}(${this.params(fn.params)}) ${this.braced(fn.body.body)}`;
+      }
+      const value = this.expression(property.value, PRECEDENCE.ASSIGNMENT);
+      // { self } in a method is { self: this }
+      if (property.shorthand && plain(value) === key) return value;
+      return `${key}: ${value}`;
+    });
+    return `{ ${properties.join(', ')} }`;
+  }
+
+  template(node) {
+    let code = '`' + node.quasis[0];
+    node.expressions.forEach((expression, index) => {
+      code += '${' + this.expression(expression) + '}' + node.quasis[index + 1];
+    });
+    return code + '`';
+  }
+}
+
+/**
+ * Generates JavaScript code from a litescript AST
+ * @param {object} ast - The Program node
+ * @param {string} source - The litescript source the AST was parsed from
+ * @param {object} [options]
+ * @param {boolean} [options.sourceMap] - Also create a source map
+ * @param {string} [options.filename] - Name of the .ls file, used in the map
+ * @param {string} [options.outputFilename] - Name of the generated .js file
+ * @param {string} [options.format] - Module format: cjs (default) or esm
+ * @param {string} [options.runtime] - How the program gets its runtime
+ *   helpers: inline (default), a copy of each one it uses, or import, from
+ *   litescript/runtime
+ * @param {string} [options.extension] - Extension that replaces .ls in
+ *   relative import paths, used when the imported files are built too
+ * @returns {string|{code: string, map: object}} - The generated JavaScript
+ *   code, or the code and its source map when options.sourceMap is set
+ */
+function generate(ast, source, options = {}) {
+  const { code, lines } = new Generator(source, options).program(ast);
+  if (!options.sourceMap) return code;
+
+  const map = createSourceMap({
+    lines,
+    file: options.outputFilename,
+    source: options.filename,
+    sourceContent: source,
+  });
+  return { code, map };
+}
+
+module.exports = {
+  generate,
+  Generator,
+  PRECEDENCE,
+};
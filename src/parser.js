@@ -0,0 +1,1122 @@
+/**
+ * Parser for litescript
+ * Builds an abstract syntax tree from the tokens produced by the tokenizer
+ * Language constructs live in src/features; this module handles the
+ * JavaScript expression grammar and dispatches statements to the features
+ */
+
+const { tokenize, syntaxError } = require('./tokenizer');
+const {
+  parseIf,
+  parseBlock,
+  parseTry,
+  parseSwitch,
+  parseRaise,
+} = require('./features/codeblocks');
+const {
+  parseDeclaration,
+  isMultipleAssignment,
+  parseMultipleAssignment,
+  isObjectPattern,
+  isScopeDeclaration,
+  parseScopeDeclaration,
+} = require('./features/variables');
+const {
+  isFunctionDefinition,
+  parseFunctionDefinition,
+  parseFunctionDeclaration,
+  parseLambda,
+} = require('./features/functions');
+const {
+  isRepeat,
+  isLabeledLoop,
+  parseLabeledLoop,
+  parseFor,
+  parseWhile,
+  parseDoWhile,
+  parseRepeat,
+} = require('./features/loops');
+const { isImport, parseImport, parseExport } = require('./features/modules');
+const { isAsyncArrow, parseAsyncArrow, parseAwait } = require('./features/async');
+const { parseClass } = require('./features/classes');
+const { parseYield, containsYield } = require('./features/generators');
+const { parseDecorated } = require('./features/decorators');
+const { isMatch, parseMatch } = require('./features/match');
+const {
+  keywordOperator,
+  skipOperator,
+  isNot,
+  buildComparison,
+  isConditional,
+  parseConditionalExpression,
+  isOperatorSection,
+} = require('./features/operators');
+const {
+  isComprehension,
+  parseArrayComprehension,
+  parseObjectComprehension,
+} = require('./features/comprehensions');
+
+/**
+ * Binary operator precedence, higher binds tighter
+ */
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '|': 4,
+  '^': 5,
+  '&': 6,
+  '==': 7,
+  '!=': 7,
+  '===': 7,
+  '!==': 7,
+  '<': 8,
+  '>': 8,
+  '<=': 8,
+  '>=': 8,
+  instanceof: 8,
+  in: 8,
+  'not in': 8,
+  '<<': 9,
+  '>>': 9,
+  '>>>': 9,
+  '+': 10,
+  '-': 10,
+  '*': 11,
+  '/': 11,
+  '%': 11,
+  '**': 12,
+};
+
+const ASSIGNMENT_OPERATORS = new Set([
+  '=',
+  '+=',
+  '-=',
+  '*=',
+  '/=',
+  '%=',
+  '**=',
+  '<<=',
+  '>>=',
+  '>>>=',
+  '&=',
+  '|=',
+  '^=',
+  '&&=',
+  '||=',
+  '??=',
+]);
+
+const UNARY_OPERATORS = new Set(['!', '-', '+', '~']);
+
+// Operands of not can use the operators that bind tighter than and
+const NOT_PRECEDENCE = BINARY_PRECEDENCE['&&'];
+const UNARY_KEYWORDS = new Set(['typeof', 'void', 'delete']);
+
+/**
+ * Words that can never start a function definition or be assigned to
+ */
+const RESERVED = new Set([
+  'if',
+  'else',
+  'elif',
+  'for',
+  'while',
+  'do',
+  'switch',
+  'case',
+  'default',
+  'break',
+  'continue',
+  'return',
+  'throw',
+  'try',
+  'catch',
+  'finally',
+  'function',
+  'class',
+  'new',
+  'delete',
+  'typeof',
+  'void',
+  'instanceof',
+  'in',
+  'of',
+  'let',
+  'const',
+  'var',
+  'this',
+  'super',
+  'import',
+  'export',
+  'with',
+  'yield',
+  'await',
+  'true',
+  'false',
+  'null',
+]);
+
+class Parser {
+  /**
+   * @param {string} source - The full litescript source code
+   * @param {object[]} tokens - Tokens of the source (or of a part of it)
+   */
+  constructor(source, tokens) {
+    this.source = source;
+    this.tokens = tokens;
+    this.index = 0;
+    this.previous = null;
+  }
+
+  // ---------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------
+
+  peek(offset = 0) {
+    const index = Math.min(this.index + offset, this.tokens.length - 1);
+    return this.tokens[index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    if (this.index < this.tokens.length - 1) this.index++;
+    this.previous = token;
+    return token;
+  }
+
+  is(type, value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  isPunct(value, offset = 0) {
+    return this.is('punct', value, offset);
+  }
+
+  isName(value, offset = 0) {
+    return this.is('name', value, offset);
+  }
+
+  eat(type, value) {
+    if (this.is(type, value)) return this.next();
+    return null;
+  }
+
+  eatPunct(value) {
+    return this.eat('punct', value);
+  }
+
+  expect(type, value) {
+    if (this.is(type, value)) return this.next();
+    const expected = value === undefined ? type : `"${value}"`;
+    throw this.error(`Expected ${expected} but found ${describe(this.peek())}`);
+  }
+
+  expectPunct(value) {
+    return this.expect('punct', value);
+  }
+
+  isReserved(name) {
+    return RESERVED.has(name);
+  }
+
+  error(message, token = this.peek()) {
+    return syntaxError(message, token);
+  }
+
+  unexpected(token = this.peek()) {
+    return this.error(`Unexpected ${describe(token)}`, token);
+  }
+
+  /**
+   * Creates a node that spans from the start token to the last consumed token
+   */
+  node(type, startToken, props) {
+    return {
+      type,
+      ...props,
+      start: startToken.start,
+      end: this.previous
+        ? Math.max(this.previous.end, startToken.start)
+        : startToken.end,
+      loc: { line: startToken.line, column: startToken.column },
+    };
+  }
+
+  /**
+   * Returns the original source text of a node
+   */
+  text(node) {
+    return this.source.slice(node.start, node.end);
+  }
+
+  /**
+   * Skips newline, indent and dedent tokens (used inside braces)
+   */
+  skipLayout() {
+    while (
+      this.is('newline') ||
+      this.is('indent') ||
+      this.is('dedent')
+    ) {
+      this.next();
+    }
+  }
+
+  /**
+   * Returns the index of the token closing the bracket at the given offset
+   */
+  findClosing(offset = 0) {
+    let depth = 0;
+    for (let i = this.index + offset; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type !== 'punct') continue;
+      if (token.value === '(' || token.value === '[' || token.value === '{') {
+        depth++;
+      } else if (
+        token.value === ')' ||
+        token.value === ']' ||
+        token.value === '}'
+      ) {
+        depth--;
+        if (depth === 0) return i - this.index;
+      }
+    }
+    return -1;
+  }
+
+  // ---------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------
+
+  parseProgram() {
+    const start = this.peek();
+    const body = [];
+    while (!this.is('eof')) {
+      if (this.eat('newline') || this.eatPunct(';')) continue;
+      if (this.is('indent')) throw this.error('Unexpected indentation');
+      body.push(this.parseStatement());
+    }
+    return this.node('Program', start, { body });
+  }
+
+  /**
+   * Parses statements until the given token type/value is reached
+   */
+  parseStatements(endType, endValue) {
+    const body = [];
+    while (!this.is(endType, endValue)) {
+      if (this.is('eof')) throw this.unexpected();
+      if (this.eat('newline') || this.eatPunct(';')) continue;
+      if (this.is('indent')) throw this.error('Unexpected indentation');
+      body.push(this.parseStatement());
+    }
+    return body;
+  }
+
+  parseStatement() {
+    const token = this.peek();
+
+    if (token.type === 'punct' && token.value === '{' && !isObjectPattern(this)) {
+      return parseBlock(this);
+    }
+    if (token.type === 'punct' && token.value === '@') {
+      return parseDecorated(this);
+    }
+
+    if (isLabeledLoop(this)) {
+      return parseLabeledLoop(this);
+    }
+
+    if (token.type === 'name') {
+      switch (token.value) {
+        case 'if':
+          return parseIf(this);
+        case 'else':
+        case 'elif':
+          throw this.error(`"${token.value}" without a matching "if"`);
+        case 'for':
+          return parseFor(this);
+        case 'while':
+          return parseWhile(this);
+        case 'do':
+          return parseDoWhile(this);
+        case 'switch':
+          return parseSwitch(this);
+        case 'repeat':
+          if (isRepeat(this)) return parseRepeat(this);
+          break;
+        case 'match':
+          if (isMatch(this)) return parseMatch(this);
+          break;
+        case 'case':
+          throw this.error('"case" outside of a match block');
+        case 'let':
+        case 'const':
+        case 'var':
+          return parseDeclaration(this);
+        case 'global':
+        case 'nonlocal':
+          if (isScopeDeclaration(this)) return parseScopeDeclaration(this);
+          break;
+        case 'function':
+          return parseFunctionDeclaration(this);
+        case 'async':
+          if (this.isName('function', 1)) return parseFunctionDeclaration(this);
+          break;
+        case 'class':
+          return parseClass(this);
+        case 'return':
+          return this.parseReturn();
+        case 'break':
+        case 'continue':
+          return this.parseJump();
+        case 'throw':
+          return this.parseThrow();
+        case 'try':
+          return parseTry(this);
+        case 'raise':
+          if (!this.is('punct', undefined, 1) || this.isPunct('(', 1) || this.isPunct('[', 1)) {
+            return parseRaise(this);
+          }
+          break;
+        case 'catch':
+        case 'finally':
+          throw this.error(`"${token.value}" without a matching "try"`);
+        case 'import':
+          if (isImport(this)) return parseImport(this);
+          break;
+        case 'export':
+          return parseExport(this);
+        default:
+          break;
+      }
+
+      if (isFunctionDefinition(this)) {
+        return parseFunctionDefinition(this);
+      }
+    }
+
+    if (isMultipleAssignment(this)) {
+      return parseMultipleAssignment(this);
+    }
+
+    const expression = this.parseExpression();
+    this.endStatement();
+    return this.node('ExpressionStatement', token, { expression });
+  }
+
+  /**
+   * Consumes the end of a simple statement
+   */
+  endStatement() {
+    // A statement that ends with an indented lambda body is already over
+    if (this.previous && this.previous.type === 'dedent') return;
+    if (this.eatPunct(';')) {
+      this.eat('newline');
+      return;
+    }
+    if (this.eat('newline')) return;
+    if (this.is('dedent') || this.is('eof') || this.isPunct('}')) return;
+    throw this.unexpected();
+  }
+
+  /**
+   * Whether the current token ends a statement
+   */
+  atStatementEnd() {
+    return (
+      this.is('newline') ||
+      this.is('dedent') ||
+      this.is('eof') ||
+      this.isPunct(';') ||
+      this.isPunct('}')
+    );
+  }
+
+  parseReturn() {
+    const start = this.next();
+    const argument = this.atStatementEnd() ? null : this.parseExpression();
+    const node = this.node('ReturnStatement', start, { argument });
+    this.endStatement();
+    return node;
+  }
+
+  parseJump() {
+    const start = this.next();
+    const label =
+      this.is('name') && !this.atStatementEnd() ? this.parseIdentifier() : null;
+    const type =
+      start.value === 'break' ? 'BreakStatement' : 'ContinueStatement';
+    const node = this.node(type, start, { label });
+    this.endStatement();
+    return node;
+  }
+
+  parseThrow() {
+    const start = this.next();
+    const argument = this.parseExpression();
+    const node = this.node('ThrowStatement', start, { argument });
+    this.endStatement();
+    return node;
+  }
+
+  // ---------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------
+
+  parseExpression() {
+    const start = this.peek();
+    const expression = this.parseAssignment();
+    if (!this.isPunct(',')) return expression;
+
+    const expressions = [expression];
+    while (this.eatPunct(',')) {
+      expressions.push(this.parseAssignment());
+    }
+    return this.node('SequenceExpression', start, { expressions });
+  }
+
+  parseAssignment() {
+    const start = this.peek();
+
+    if (isAsyncArrow(this)) return parseAsyncArrow(this);
+    if (this.isName('yield')) return parseYield(this);
+
+    // Single parameter arrow function: x => ...
+    if (
+      start.type === 'name' &&
+      (this.isPunct('=>', 1) || this.isPunct('->', 1)) &&
+      !RESERVED.has(start.value)
+    ) {
+      const param = this.parseIdentifier();
+      return this.parseArrowFunction(start, [param]);
+    }
+
+    const left = this.parseConditional();
+    const operator = this.peek();
+    if (operator.type === 'punct' && ASSIGNMENT_OPERATORS.has(operator.value)) {
+      this.checkAssignable(left);
+      this.next();
+      const right = this.parseAssignment();
+      return this.node('AssignmentExpression', start, {
+        operator: operator.value,
+        left,
+        right,
+      });
+    }
+    return left;
+  }
+
+  checkAssignable(node) {
+    const assignable =
+      (node.type === 'Identifier' && !RESERVED.has(node.name)) ||
+      node.type === 'MemberExpression' ||
+      node.type === 'ArrayExpression' ||
+      node.type === 'ObjectExpression';
+    if (!assignable) {
+      throw syntaxError('Invalid assignment target', node.loc);
+    }
+  }
+
+  parseConditional() {
+    const start = this.peek();
+    const test = this.parseBinary(0);
+    if (isConditional(this)) return parseConditionalExpression(this, start, test);
+    if (!this.eatPunct('?')) return test;
+
+    const consequent = this.parseAssignment();
+    this.expectPunct(':');
+    const alternate = this.parseAssignment();
+    return this.node('ConditionalExpression', start, {
+      test,
+      consequent,
+      alternate,
+    });
+  }
+
+  binaryOperator() {
+    const token = this.peek();
+    if (token.type === 'punct' && BINARY_PRECEDENCE[token.value]) {
+      return token.value;
+    }
+    return keywordOperator(this);
+  }
+
+  parseBinary(minPrecedence) {
+    const start = this.peek();
+    let left;
+    if (minPrecedence <= NOT_PRECEDENCE && isNot(this)) {
+      // not binds looser than comparisons: not a == b is !(a == b)
+      this.next();
+      const argument = this.parseBinary(NOT_PRECEDENCE);
+      left = this.node('UnaryExpression', start, { operator: '!', argument });
+    } else {
+      left = this.parseUnary();
+    }
+
+    while (true) {
+      const operator = this.binaryOperator();
+      if (!operator) break;
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (precedence <= minPrecedence) break;
+      if (this.is('name')) {
+        skipOperator(this, operator);
+      } else {
+        this.next();
+      }
+      // ** is right associative
+      const right =
+        operator === '**'
+          ? this.parseBinary(precedence - 1)
+          : this.parseBinary(precedence);
+      left = buildComparison(this, start, operator, left, right);
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    const start = this.peek();
+
+    if (start.type === 'name' && start.value === 'await') {
+      return parseAwait(this);
+    }
+
+    if (isNot(this)) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.node('UnaryExpression', start, { operator: '!', argument });
+    }
+
+    if (
+      (start.type === 'punct' && UNARY_OPERATORS.has(start.value)) ||
+      (start.type === 'name' && UNARY_KEYWORDS.has(start.value))
+    ) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.node('UnaryExpression', start, {
+        operator: start.value,
+        argument,
+      });
+    }
+
+    if (start.type === 'punct' && (start.value === '++' || start.value === '--')) {
+      this.next();
+      const argument = this.parseUnary();
+      this.checkAssignable(argument);
+      return this.node('UpdateExpression', start, {
+        operator: start.value,
+        prefix: true,
+        argument,
+      });
+    }
+
+    const expression = this.parsePostfix();
+    return expression;
+  }
+
+  parsePostfix() {
+    const start = this.peek();
+    const expression = this.parseCallMember();
+    const token = this.peek();
+    if (
+      token.type === 'punct' &&
+      (token.value === '++' || token.value === '--')
+    ) {
+      this.checkAssignable(expression);
+      this.next();
+      return this.node('UpdateExpression', start, {
+        operator: token.value,
+        prefix: false,
+        argument: expression,
+      });
+    }
+    return expression;
+  }
+
+  parseCallMember() {
+    const start = this.peek();
+    let expression;
+
+    if (this.isName('new')) {
+      expression = this.parseNew();
+    } else {
+      expression = this.parsePrimary();
+    }
+
+    while (true) {
+      if (this.eatPunct('.')) {
+        const property = this.parsePropertyName();
+        expression = this.node('MemberExpression', start, {
+          object: expression,
+          property,
+          computed: false,
+          optional: false,
+        });
+      } else if (this.eatPunct('?.')) {
+        if (this.isPunct('(')) {
+          const args = this.parseArguments();
+          expression = this.node('CallExpression', start, {
+            callee: expression,
+            arguments: args,
+            optional: true,
+          });
+        } else if (this.eatPunct('[')) {
+          const property = this.parseExpression();
+          this.expectPunct(']');
+          expression = this.node('MemberExpression', start, {
+            object: expression,
+            property,
+            computed: true,
+            optional: true,
+          });
+        } else {
+          const property = this.parsePropertyName();
+          expression = this.node('MemberExpression', start, {
+            object: expression,
+            property,
+            computed: false,
+            optional: true,
+          });
+        }
+      } else if (this.isPunct('[')) {
+        this.next();
+        const property = this.parseExpression();
+        this.expectPunct(']');
+        expression = this.node('MemberExpression', start, {
+          object: expression,
+          property,
+          computed: true,
+          optional: false,
+        });
+      } else if (this.isPunct('(')) {
+        const args = this.parseArguments();
+        expression = this.node('CallExpression', start, {
+          callee: expression,
+          arguments: args,
+          optional: false,
+        });
+      } else if (this.is('template') && !this.peek().spaceBefore) {
+        const quasi = this.parseTemplate();
+        expression = this.node('TaggedTemplateExpression', start, {
+          tag: expression,
+          quasi,
+        });
+      } else {
+        break;
+      }
+    }
+
+    return expression;
+  }
+
+  /**
+   * Parses a property name after a dot
+   * A "!" written directly after the name is part of it (arr.filter!(2))
+   */
+  parsePropertyName() {
+    const token = this.expect('name');
+    let name = token.value;
+    const bang = this.peek();
+    if (bang.type === 'punct' && bang.value === '!' && bang.start === token.end) {
+      this.next();
+      name += '!';
+    }
+    return this.node('Identifier', token, { name });
+  }
+
+  parseNew() {
+    const start = this.next();
+    const calleeStart = this.peek();
+    let callee = this.isName('new') ? this.parseNew() : this.parsePrimary();
+
+    while (true) {
+      if (this.eatPunct('.')) {
+        const property = this.parsePropertyName();
+        callee = this.node('MemberExpression', calleeStart, {
+          object: callee,
+          property,
+          computed: false,
+          optional: false,
+        });
+      } else if (this.isPunct('[')) {
+        this.next();
+        const property = this.parseExpression();
+        this.expectPunct(']');
+        callee = this.node('MemberExpression', calleeStart, {
+          object: callee,
+          property,
+          computed: true,
+          optional: false,
+        });
+      } else {
+        break;
+      }
+    }
+
+    const args = this.isPunct('(') ? this.parseArguments() : [];
+    return this.node('NewExpression', start, { callee, arguments: args });
+  }
+
+  parseArguments() {
+    this.expectPunct('(');
+    const args = [];
+    while (!this.isPunct(')')) {
+      args.push(this.parseSpreadOrAssignment());
+      if (!this.isPunct(')')) this.expectPunct(',');
+    }
+    this.expectPunct(')');
+    return args;
+  }
+
+  parseSpreadOrAssignment() {
+    const start = this.peek();
+    if (this.eatPunct('...')) {
+      const argument = this.parseAssignment();
+      return this.node('SpreadElement', start, { argument });
+    }
+    return this.parseAssignment();
+  }
+
+  parseIdentifier() {
+    const token = this.expect('name');
+    return this.node('Identifier', token, { name: token.value });
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'name':
+        if (token.value === 'function') return this.parseFunctionExpression();
+        if (token.value === 'async' && this.isName('function', 1)) {
+          return this.parseFunctionExpression();
+        }
+        if (RESERVED.has(token.value) && !isValueKeyword(token.value)) {
+          throw this.unexpected();
+        }
+        return this.parseIdentifier();
+      case 'number':
+        this.next();
+        return this.node('Literal', token, { kind: 'number', raw: token.value });
+      case 'string':
+        this.next();
+        return this.node('Literal', token, { kind: 'string', raw: token.value });
+      case 'regex':
+        this.next();
+        return this.node('Literal', token, { kind: 'regex', raw: token.value });
+      case 'template':
+        return this.parseTemplate();
+      case 'punct':
+        if (token.value === '(') return this.parseParenthesized();
+        if (token.value === '[') return this.parseArray();
+        if (token.value === '{') return this.parseObject();
+        break;
+      default:
+        break;
+    }
+
+    throw this.unexpected();
+  }
+
+  /**
+   * Parses a parenthesized expression or the parameter list of an arrow function
+   */
+  parseParenthesized() {
+    const start = this.expectPunct('(');
+    if (isOperatorSection(this)) {
+      const operator = this.binaryOperator();
+      skipOperator(this, operator);
+      const argument = this.parseBinary(BINARY_PRECEDENCE[operator]);
+      this.expectPunct(')');
+      return this.node('OperatorSection', start, { operator, argument });
+    }
+    const items = [];
+    while (!this.isPunct(')')) {
+      items.push(this.parseSpreadOrAssignment());
+      if (!this.isPunct(')')) this.expectPunct(',');
+    }
+    this.expectPunct(')');
+
+    if (this.isPunct('=>') || this.isPunct('->')) {
+      return this.parseArrowFunction(start, items);
+    }
+
+    if (items.length === 0) throw this.unexpected(this.previous);
+    for (const item of items) {
+      if (item.type === 'SpreadElement') throw this.unexpected(item);
+    }
+
+    const expression =
+      items.length === 1
+        ? items[0]
+        : this.node('SequenceExpression', start, { expressions: items });
+    expression.parenthesized = true;
+    return expression;
+  }
+
+  parseArrowFunction(start, params) {
+    if (this.isPunct('->')) return parseLambda(this, start, params);
+    this.expectPunct('=>');
+    const body = this.isPunct('{')
+      ? this.parseBracedBody()
+      : this.parseAssignment();
+    return this.node('ArrowFunctionExpression', start, {
+      params,
+      body,
+      async: false,
+    });
+  }
+
+  /**
+   * Parses a JavaScript style braced function body
+   */
+  parseBracedBody() {
+    const start = this.expectPunct('{');
+    const body = this.parseStatements('punct', '}');
+    this.expectPunct('}');
+    return this.node('BlockStatement', start, { body });
+  }
+
+  /**
+   * Parses a parenthesized parameter list: (a, b = 1, ...rest)
+   */
+  parseParams() {
+    this.expectPunct('(');
+    const params = [];
+    while (!this.isPunct(')')) {
+      params.push(this.parseSpreadOrAssignment());
+      if (!this.isPunct(')')) this.expectPunct(',');
+    }
+    this.expectPunct(')');
+    return params;
+  }
+
+  parseFunctionExpression() {
+    const start = this.peek();
+    const isAsync = Boolean(this.eat('name', 'async'));
+    this.expect('name', 'function');
+    const star = Boolean(this.eatPunct('*'));
+    const id = this.is('name') ? this.parseIdentifier() : null;
+    const params = this.parseParams();
+    const body = this.parseBracedBody();
+    return this.node('FunctionExpression', start, {
+      id,
+      params,
+      body,
+      async: isAsync,
+      generator: star || containsYield(body),
+    });
+  }
+
+  parseArray() {
+    const start = this.expectPunct('[');
+    const elements = [];
+    while (!this.isPunct(']')) {
+      if (this.isPunct(',')) {
+        this.next();
+        elements.push(null);
+        continue;
+      }
+      const element = this.parseSpreadOrAssignment();
+      if (elements.length === 0 && this.isName('for')) {
+        return parseArrayComprehension(this, start, element);
+      }
+      elements.push(element);
+      if (!this.isPunct(']')) this.expectPunct(',');
+    }
+    this.expectPunct(']');
+    return this.node('ArrayExpression', start, { elements });
+  }
+
+  parseObject() {
+    const start = this.expectPunct('{');
+    const properties = [];
+    this.skipLayout();
+    if (isComprehension(this)) return parseObjectComprehension(this, start);
+    while (!this.isPunct('}')) {
+      properties.push(this.parseProperty());
+      this.skipLayout();
+      if (!this.isPunct('}')) {
+        this.expectPunct(',');
+        this.skipLayout();
+      }
+    }
+    this.expectPunct('}');
+    return this.node('ObjectExpression', start, { properties });
+  }
+
+  parseProperty() {
+    const start = this.peek();
+
+    if (this.eatPunct('...')) {
+      const argument = this.parseAssignment();
+      return this.node('SpreadElement', start, { argument });
+    }
+
+    // Getters and setters: get name() { ... }
+    if (
+      (this.isName('get') || this.isName('set')) &&
+      !this.isPunct(',', 1) &&
+      !this.isPunct(':', 1) &&
+      !this.isPunct('(', 1) &&
+      !this.isPunct('}', 1)
+    ) {
+      const kind = this.next().value;
+      const { key, computed } = this.parsePropertyKey();
+      const params = this.parseParams();
+      const body = this.parseBracedBody();
+      return this.node('Property', start, {
+        key,
+        computed,
+        kind,
+        value: this.node('FunctionExpression', start, { id: null, params, body }),
+        shorthand: false,
+        method: true,
+      });
+    }
+
+    const { key, computed } = this.parsePropertyKey();
+
+    if (this.isPunct('(')) {
+      const params = this.parseParams();
+      const body = this.parseBracedBody();
+      return this.node('Property', start, {
+        key,
+        computed,
+        kind: 'init',
+        value: this.node('FunctionExpression', start, { id: null, params, body }),
+        shorthand: false,
+        method: true,
+      });
+    }
+
+    if (this.eatPunct(':')) {
+      this.skipLayout();
+      const value = this.parseAssignment();
+      return this.node('Property', start, {
+        key,
+        computed,
+        kind: 'init',
+        value,
+        shorthand: false,
+        method: false,
+      });
+    }
+
+    if (key.type !== 'Identifier' || computed) throw this.unexpected();
+
+    // Shorthand, optionally with a default when used as a pattern: {a = 1}
+    let value = key;
+    if (this.isPunct('=')) {
+      this.next();
+      const right = this.parseAssignment();
+      value = this.node('AssignmentExpression', start, {
+        operator: '=',
+        left: key,
+        right,
+      });
+    }
+    return this.node('Property', start, {
+      key,
+      computed: false,
+      kind: 'init',
+      value,
+      shorthand: true,
+      method: false,
+    });
+  }
+
+  parsePropertyKey() {
+    const token = this.peek();
+    if (this.eatPunct('[')) {
+      const key = this.parseAssignment();
+      this.expectPunct(']');
+      return { key, computed: true };
+    }
+    if (token.type === 'name') {
+      this.next();
+      return { key: this.node('Identifier', token, { name: token.value }), computed: false };
+    }
+    if (token.type === 'string' || token.type === 'number') {
+      this.next();
+      return {
+        key: this.node('Literal', token, { kind: token.type, raw: token.value }),
+        computed: false,
+      };
+    }
+    throw this.unexpected();
+  }
+
+  parseTemplate() {
+    const token = this.expect('template');
+    const expressions = token.expressions.map((range) => {
+      const tokens = tokenize(this.source, {
+        offset: range.start,
+        end: range.end,
+        line: range.line,
+        column: range.column,
+        layout: false,
+      });
+      const parser = new Parser(this.source, tokens);
+      const expression = parser.parseExpression();
+      parser.expect('eof');
+      return expression;
+    });
+    return this.node('TemplateLiteral', token, {
+      quasis: token.quasis,
+      expressions,
+    });
+  }
+}
+
+/**
+ * Keywords that are used as values in expressions
+ */
+function isValueKeyword(name) {
+  return (
+    name === 'this' ||
+    name === 'super' ||
+    name === 'import' ||
+    name === 'true' ||
+    name === 'false' ||
+    name === 'null'
+  );
+}
+
+/**
+ * Describes a token for error messages
+ */
+function describe(token) {
+  switch (token.type) {
+    case 'eof':
+      return 'end of file';
+    case 'newline':
+      return 'end of line';
+    case 'indent':
+      return 'indentation';
+    case 'dedent':
+      return 'end of block';
+    default:
+      return `"${token.value}"`;
+  }
+}
+
+/**
+ * Parses litescript source code into an AST
+ * @param {string} source - The litescript source code
+ * @returns {object} - The Program node
+ */
+function parse(source) {
+  const parser = new Parser(source, tokenize(source));
+  return parser.parseProgram();
+}
+
+module.exports = {
+  parse,
+  Parser,
+  RESERVED,
+};
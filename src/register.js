@@ -0,0 +1,95 @@
+/**
+ * Require hook for .ls files
+ * After register(), require() loads .ls files like .js files:
+ *   require('litescript/register');
+ *   const { helper } = require('./utils.ls');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { transpile } = require('./transpiler');
+const { mapStack } = require('./errors');
+
+// Sources and source maps of the loaded .ls files, by absolute filename,
+// so that errors can be reported at .ls positions
+const files = new Map();
+
+/**
+ * Transpiles a .ls file and runs it as a CommonJS module
+ * @param {Module} module - The module being loaded
+ * @param {string} filename - Absolute path of the .ls file
+ */
+function compile(module, filename) {
+  const source = fs.readFileSync(filename, 'utf8');
+  files.set(filename, { source, map: null });
+
+  let compiled;
+  try {
+    compiled = transpile(source, {
+      sourceMap: true,
+      filename: path.basename(filename),
+    });
+  } catch (error) {
+    // Syntax errors know their position but not their file
+    if (error && error.loc) error.filename = filename;
+    throw error;
+  }
+
+  files.get(filename).map = compiled.map;
+  module._compile(compiled.code, filename);
+}
+
+/**
+ * Installs the require hook for .ls files
+ * @param {object} [options]
+ * @param {boolean} [options.stackTraces] - Also rewrite the stacks of all
+ *   errors so that they point at .ls positions; the CLI leaves this off,
+ *   since it maps the stacks of the errors it reports itself
+ */
+function register({ stackTraces = false } = {}) {
+  require.extensions['.ls'] = compile;
+  if (stackTraces) mapStackTraces();
+}
+
+/**
+ * Makes error stacks point at the .ls files instead of the generated code
+ */
+function mapStackTraces() {
+  const prepare = Error.prepareStackTrace;
+  Error.prepareStackTrace = (error, callSites) => {
+    const stack = prepare
+      ? prepare(error, callSites)
+      : [String(error), ...callSites.map((site) => `    at ${site}`)].join('\n');
+    return mapStack(stack, files).stack;
+  };
+}
+
+/**
+ * Runs a .ls file
+ * @param {string} filename - Absolute path of the .ls file
+ * @returns {Promise} - Settles when the file has finished, including the
+ *   code after a top-level await
+ */
+function run(filename) {
+  require(filename);
+  const module = require.cache[filename];
+  return Promise.resolve(module && module.completion);
+}
+
+/**
+ * Removes the loaded .ls files from the require cache, so that they are
+ * loaded again (and see their latest changes) the next time they are required
+ */
+function clearCache() {
+  for (const filename of files.keys()) {
+    delete require.cache[filename];
+  }
+  files.clear();
+}
+
+module.exports = {
+  files,
+  register,
+  run,
+  clearCache,
+};
@@ -0,0 +1,412 @@
+/**
+ * Runtime helpers for compiled litescript
+ * The generated code calls these for the parts of the language that are
+ * more than a rewrite, like arr.max, range(), x in items or @memo. By
+ * default each program gets a copy of the helpers it uses, at the top;
+ * with the runtime: 'import' option (lite build --runtime import) it
+ * imports them from litescript/runtime instead.
+ * Every helper has to work on its own, as its source code is what gets
+ * copied, so they cannot use each other or anything outside the function
+ */
+
+/**
+ * Returns the largest number in an array or other iterable, like
+ * Math.max(...items) but without a call argument per item, which fails for
+ * long arrays
+ */
+function __max(items) {
+  let max = -Infinity;
+  for (const item of items) {
+    const value = +item;
+    if (Number.isNaN(value)) return NaN;
+    if (value > max) max = value;
+  }
+  return max;
+}
+
+/**
+ * Returns the smallest number in an array or other iterable
+ */
+function __min(items) {
+  let min = Infinity;
+  for (const item of items) {
+    const value = +item;
+    if (Number.isNaN(value)) return NaN;
+    if (value < min) min = value;
+  }
+  return min;
+}
+
+/**
+ * Returns the numbers from start up to, but not including, end: counting
+ * up when start < end and down otherwise, by the size of step
+ */
+function __range(start, end, step = 1) {
+  const from = +start;
+  const size = Math.abs(step);
+  if (size === 0) throw new RangeError('The step of range() cannot be 0');
+  const delta = from < end ? size : -size;
+  const length = Math.max(0, Math.ceil(Math.abs(end - from) / size));
+  const result = new Array(length);
+  for (let i = 0; i < length; i++) result[i] = from + i * delta;
+  return result;
+}
+
+/**
+ * Returns the step of a range loop from start to end: the size of step,
+ * counting up when start < end and down otherwise, like range()
+ */
+function __rangeStep(start, end, step) {
+  const size = Math.abs(step);
+  if (size === 0) throw new RangeError('The step of a range cannot be 0');
+  return start < end ? size : -size;
+}
+
+/**
+ * Compares two values for sorting: numbers and BigInts by size, strings
+ * in the order of the language, and arrays item by item, like tuples
+ */
+function __compare(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      const order = __compare(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length - b.length;
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Sorts an array in place by the key of each item, which key returns when
+ * it is a function, or the property it names otherwise, and returns it.
+ * Each key is only computed once, and items with equal keys keep their
+ * order. compare is the comparator for the keys
+ */
+function __sortBy(array, key, compare) {
+  const keys = array.map(typeof key === 'function' ? key : (item) => item[key]);
+  const order = keys.map((_, index) => index);
+  order.sort((i, j) => compare(keys[i], keys[j]) || i - j);
+  const items = order.map((index) => array[index]);
+  items.forEach((item, index) => {
+    array[index] = item;
+  });
+  return array;
+}
+
+/**
+ * Returns the average of the numbers in an array or other iterable, NaN
+ * when there are none
+ */
+function __avg(items) {
+  let sum = 0;
+  let count = 0;
+  for (const item of items) {
+    sum += +item;
+    count++;
+  }
+  return sum / count;
+}
+
+/**
+ * Returns the middle number of an array or other iterable once sorted, or
+ * the average of the two middle ones; NaN when there are none
+ */
+function __median(items) {
+  const sorted = Array.from(items, Number).sort((a, b) => a - b);
+  if (sorted.length === 0) return NaN;
+  const middle = sorted.length >> 1;
+  if (sorted.length % 2 === 1) return sorted[middle];
+  return (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Counts how many times each item appears, in a Map from item to count
+ */
+function __freq(items) {
+  const counts = new Map();
+  for (const item of items) counts.set(item, (counts.get(item) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Returns the item that appears most often; the first one to appear when
+ * there is a tie, undefined when there are no items
+ */
+function __mode(items) {
+  const counts = new Map();
+  for (const item of items) counts.set(item, (counts.get(item) || 0) + 1);
+  // A Map keeps its keys in the order they first appeared
+  let mode;
+  let best = 0;
+  for (const [item, count] of counts) {
+    if (count > best) {
+      best = count;
+      mode = item;
+    }
+  }
+  return mode;
+}
+
+/**
+ * Returns the running totals of an array or other iterable: prefix sums,
+ * so [1, 2, 3] gives [1, 3, 6]
+ */
+function __prefix(items) {
+  const result = [];
+  let sum = 0;
+  for (const item of items) {
+    sum += item;
+    result.push(sum);
+  }
+  return result;
+}
+
+/**
+ * Splits the items into arrays of the given size; the last one gets what
+ * is left
+ */
+function __chunk(items, size) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new RangeError('The size of chunk() must be a whole number above 0');
+  }
+  const array = Array.from(items);
+  const result = [];
+  for (let i = 0; i < array.length; i += size) result.push(array.slice(i, i + size));
+  return result;
+}
+
+/**
+ * Returns every run of size items in a row: window(2) of [1, 2, 3] is
+ * [[1, 2], [2, 3]]. There are none when size is larger than the array
+ */
+function __window(items, size) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new RangeError('The size of window() must be a whole number above 0');
+  }
+  const array = Array.from(items);
+  const result = [];
+  for (let i = 0; i + size <= array.length; i++) result.push(array.slice(i, i + size));
+  return result;
+}
+
+/**
+ * Returns a copy of the items moved count places to the left, the first
+ * ones going to the end; a negative count moves them to the right
+ */
+function __rotate(items, count) {
+  const array = Array.from(items);
+  if (array.length === 0) return array;
+  const start = ((count % array.length) + array.length) % array.length;
+  return [...array.slice(start), ...array.slice(0, start)];
+}
+
+/**
+ * Groups the items by the key the function returns for each one, in a Map
+ * from key to the array of its items, in order
+ */
+function __groupBy(items, key) {
+  const groups = new Map();
+  let index = 0;
+  for (const item of items) {
+    const name = key(item, index++);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Splits the items in two: [the ones that pass the test, the others]
+ */
+function __partition(items, test) {
+  const pass = [];
+  const fail = [];
+  let index = 0;
+  for (const item of items) {
+    (test(item, index++) ? pass : fail).push(item);
+  }
+  return [pass, fail];
+}
+
+/**
+ * Shuffles an array in place, every order being as likely, and returns it
+ */
+function __shuffle(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Returns a function that tests an item for arr.filter(test) and the like:
+ * test itself when it is a function, else a check that the item equals it.
+ * With negate, the test is turned around
+ */
+function __predicate(test, negate = false) {
+  if (typeof test !== 'function') {
+    return negate ? (item) => item !== test : (item) => item === test;
+  }
+  return negate ? (...args) => !test(...args) : test;
+}
+
+/**
+ * Checks if the value is in the container: an item of an array, string,
+ * Set or iterable, a key of a Map or a property of an object
+ */
+function __in(item, container) {
+  if (typeof container === 'string' || Array.isArray(container)) {
+    return container.includes(item);
+  }
+  if (container instanceof Set || container instanceof Map) {
+    return container.has(item);
+  }
+  if (container != null && typeof container[Symbol.iterator] === 'function') {
+    for (const value of container) {
+      if (value === item) return true;
+    }
+    return false;
+  }
+  return item in container;
+}
+
+/**
+ * Returns [key, value] pairs to loop over: indexes and items of arrays,
+ * strings and other iterables, keys and values of Maps and objects
+ */
+function __entries(items) {
+  if (Array.isArray(items) || items instanceof Map) return items.entries();
+  if (typeof items === 'string' || (items != null && typeof items[Symbol.iterator] === 'function')) {
+    return (function* () {
+      let index = 0;
+      for (const item of items) yield [index++, item];
+    })();
+  }
+  return Object.entries(items);
+}
+
+/**
+ * Returns what "for x in items" goes over in a comprehension: the items of
+ * arrays, strings, Sets and other iterables, the keys of Maps and objects
+ */
+function __items(items) {
+  if (items instanceof Map) return items.keys();
+  if (items != null && typeof items[Symbol.iterator] === 'function') return items;
+  return Object.keys(items);
+}
+
+/**
+ * Pairs up the items of several arrays (or other iterables): zip([1, 2],
+ * ["a", "b"]) is [[1, "a"], [2, "b"]]. Stops at the end of the shortest one
+ */
+function __zip(...lists) {
+  const arrays = lists.map((list) => Array.from(list));
+  const length = arrays.length > 0 ? Math.min(...arrays.map((array) => array.length)) : 0;
+  return Array.from({ length }, (_, index) => arrays.map((array) => array[index]));
+}
+
+/**
+ * Caches results by all of their arguments; the cache is a tree of Maps
+ * with one level per argument, so objects are compared by identity
+ */
+function __memo(fn) {
+  const cache = new Map();
+  const result = Symbol('result');
+  const memo = function (...args) {
+    let node = cache;
+    for (const key of [args.length, ...args]) {
+      if (!node.has(key)) node.set(key, new Map());
+      node = node.get(key);
+    }
+    if (!node.has(result)) node.set(result, fn.apply(this, args));
+    return node.get(result);
+  };
+  Object.defineProperty(memo, 'name', { value: fn.name });
+  return memo;
+}
+
+/**
+ * Logs how long each call takes, once its promise settles for async functions
+ */
+function __timed(fn) {
+  const timed = function (...args) {
+    const start = performance.now();
+    const report = () => {
+      const ms = (performance.now() - start).toFixed(3);
+      console.log(`${fn.name} took`, `${ms}ms`);
+    };
+    const result = fn.apply(this, args);
+    if (result && typeof result.then === 'function') {
+      return result.finally(report);
+    }
+    report();
+    return result;
+  };
+  Object.defineProperty(timed, 'name', { value: fn.name });
+  return timed;
+}
+
+/**
+ * Logs each call and what it returns, indented by the depth of the call
+ */
+function __trace(fn) {
+  const format = (value) => {
+    if (typeof value === 'function') return value.name || 'function';
+    if (typeof value === 'bigint') return `${value}n`;
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch {
+      return String(value);
+    }
+  };
+  const trace = function (...args) {
+    const depth = __trace.depth || 0;
+    const indent = '  '.repeat(depth);
+    console.log(`${indent}${fn.name}(${args.map(format).join(', ')})`);
+    __trace.depth = depth + 1;
+    let result;
+    try {
+      result = fn.apply(this, args);
+    } finally {
+      __trace.depth = depth;
+    }
+    console.log(`${indent}=> ${format(result)}`);
+    return result;
+  };
+  Object.defineProperty(trace, 'name', { value: fn.name });
+  return trace;
+}
+
+module.exports = {
+  __max,
+  __min,
+  __range,
+  __rangeStep,
+  __compare,
+  __sortBy,
+  __avg,
+  __median,
+  __freq,
+  __mode,
+  __prefix,
+  __chunk,
+  __window,
+  __rotate,
+  __groupBy,
+  __partition,
+  __shuffle,
+  __predicate,
+  __in,
+  __entries,
+  __items,
+  __zip,
+  __memo,
+  __timed,
+  __trace,
+};
@@ -0,0 +1,628 @@
+/**
+ * Scope analysis for automatic variable declarations
+ * Works out where each auto-declared variable gets its "let":
+ * - Assigning a name inside a function makes it local to that function,
+ *   unless the function says "global name" or "nonlocal name"
+ * - Parameters, loop variables, imports, function and class names are already
+ *   declared, so assigning them never declares anything
+ * - The declaration goes into the innermost block that contains every use
+ *   of the name, so a variable first assigned inside an if or a loop body
+ *   is still visible after it
+ */
+
+const { syntaxError } = require('./tokenizer');
+const { patternNames } = require('./features/variables');
+const { patternValues } = require('./features/match');
+const { isKnownArray } = require('./features/arrays');
+
+const FUNCTIONS = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+]);
+
+const LOOPS = new Set([
+  'ForRangeStatement',
+  'ForOfStatement',
+  'ForInStatement',
+  'ForStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'RepeatStatement',
+]);
+
+/**
+ * Returns the statement inside an export, or the statement itself
+ */
+function unwrapExport(statement) {
+  const isExport =
+    statement.type === 'ExportNamedDeclaration' ||
+    statement.type === 'ExportDefaultDeclaration';
+  return isExport && statement.declaration ? statement.declaration : statement;
+}
+
+/**
+ * Returns the groups of names a statement can declare with let: one group
+ * per "x = value" or per declarator of let/const/var
+ */
+function declaringGroups(statement) {
+  if (statement.type === 'VariableDeclaration') {
+    return statement.declarations.map(({ id }) => patternNames(id));
+  }
+  if (
+    statement.type === 'ExpressionStatement' &&
+    statement.expression.type === 'AssignmentExpression' &&
+    statement.expression.operator === '='
+  ) {
+    return [patternNames(statement.expression.left)];
+  }
+  return [];
+}
+
+class ScopeAnalyzer {
+  constructor() {
+    // Names declared inline ("let x = 1"), by statement
+    this.inline = new Map();
+    // Names declared on their own ("let x;") before a statement
+    this.hoisted = new Map();
+    // Identifiers that refer to no variable of the program, like console
+    this.free = new Set();
+    // The references of each auto-declared variable
+    this.variables = [];
+    this.context = null;
+  }
+
+  // ---------------------------------------------------------------------
+  // Walking the tree
+  // ---------------------------------------------------------------------
+
+  /**
+   * Starts the scope of a function (or of the program)
+   */
+  enterFunction(node) {
+    const parent = this.context;
+    this.context = {
+      node,
+      parent,
+      // Where the function is, in the blocks of the enclosing function
+      position: parent ? this.snapshot() : null,
+      frames: [],
+      refs: [],
+      children: [],
+      globals: new Map(),
+      nonlocals: new Map(),
+      // Assignments in an expression body cannot be declared anywhere
+      expressionBody: false,
+    };
+    if (parent) parent.children.push(this.context);
+  }
+
+  exitFunction() {
+    this.context = this.context.parent;
+  }
+
+  /**
+   * Pushes a frame: a block (statements: true) or a loop that binds names
+   */
+  pushFrame(node, { statements = false, loop = false, bindings = [] } = {}) {
+    const frame = {
+      node,
+      statements,
+      loop,
+      bindings: new Set(bindings),
+      statement: null,
+    };
+    this.context.frames.push(frame);
+    return frame;
+  }
+
+  popFrame() {
+    this.context.frames.pop();
+  }
+
+  /**
+   * Binds names in the innermost block
+   */
+  bind(names) {
+    const frames = this.context.frames;
+    for (let i = frames.length - 1; i >= 0; i--) {
+      if (frames[i].statements) {
+        names.forEach((name) => frames[i].bindings.add(name));
+        return;
+      }
+    }
+    names.forEach((name) => frames[frames.length - 1].bindings.add(name));
+  }
+
+  /**
+   * Records where we are: each frame with the statement being walked in it
+   */
+  snapshot() {
+    return this.context.frames.map((frame) => ({
+      frame,
+      statement: frame.statement,
+    }));
+  }
+
+  /**
+   * Records a use of a name
+   * @param {string} name - The name
+   * @param {boolean} [assign] - Whether the use assigns the name
+   * @param {object} [node] - The Identifier node
+   * @param {object} [details] - value: the expression assigned with "=";
+   *   update: whether the use changes the value, like x += 1
+   */
+  reference(name, assign = false, node = null, details = {}) {
+    this.context.refs.push({ name, assign, node, ...details, position: this.snapshot() });
+  }
+
+  /**
+   * Walks a list of statements as a block
+   */
+  statements(node, body, options = {}) {
+    const frame = this.pushFrame(node, { ...options, statements: true });
+    for (const statement of body) {
+      frame.statement = statement;
+      this.visit(statement);
+    }
+    this.popFrame();
+  }
+
+  /**
+   * Walks the child nodes of a node
+   */
+  children(node, skip = [], assigned = null) {
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || skip.includes(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach((item) => this.visit(item, assigned));
+      } else {
+        this.visit(value, assigned);
+      }
+    }
+  }
+
+  /**
+   * Walks an assignment target; the names it binds are assignments
+   * @param {object} node - The target
+   * @param {object} [value] - The expression assigned to a plain name
+   */
+  target(node, value = null) {
+    const names = new Set(patternNames(node));
+    if (node.type === 'Identifier') {
+      this.reference(node.name, true, node, { value });
+      return;
+    }
+    this.visit(node, names);
+  }
+
+  /**
+   * Walks a node
+   * @param {object} node - The node
+   * @param {Set<string>} [assigned] - Inside an assignment target, the names
+   *   that the target assigns
+   */
+  visit(node, assigned = null) {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+      return;
+    }
+
+    if (FUNCTIONS.has(node.type)) {
+      this.visitFunction(node);
+      return;
+    }
+    if (LOOPS.has(node.type)) {
+      this.visitLoop(node);
+      // The else block of a loop runs after it
+      this.visit(node.orelse);
+      return;
+    }
+
+    switch (node.type) {
+      case 'Identifier':
+        this.reference(node.name, Boolean(assigned && assigned.has(node.name)), node);
+        return;
+      case 'BlockStatement':
+        this.statements(node, node.body);
+        return;
+      case 'MemberExpression':
+        this.visit(node.object);
+        if (node.computed) this.visit(node.property);
+        return;
+      case 'Property':
+        if (node.computed) this.visit(node.key);
+        this.visit(node.value, assigned);
+        return;
+      case 'ArrayExpression':
+      case 'ObjectExpression':
+      case 'SpreadElement':
+        // Patterns pass the names they assign down to their elements
+        this.children(node, [], assigned);
+        return;
+      case 'AssignmentExpression':
+        if (assigned) {
+          // A default value in a pattern: [a = 1] = list
+          this.visit(node.left, assigned);
+          this.visit(node.right);
+          return;
+        }
+        if (node.operator === '=') {
+          this.target(node.left, node.right);
+        } else if (node.left.type === 'Identifier') {
+          this.reference(node.left.name, false, node.left, { update: true });
+        } else {
+          this.visit(node.left);
+        }
+        this.visit(node.right);
+        return;
+      case 'VariableDeclaration':
+        for (const { id, init } of node.declarations) {
+          this.visit(init);
+          this.target(id, init);
+        }
+        return;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return;
+      case 'ImportDeclaration':
+        this.bind(node.specifiers.map(({ local }) => local));
+        return;
+      case 'ExportNamedDeclaration':
+        if (node.declaration) this.visit(node.declaration);
+        if (!node.source) {
+          node.specifiers.forEach(({ local }) => this.reference(local));
+        }
+        return;
+      case 'ScopeDeclaration':
+        this.visitScopeDeclaration(node);
+        return;
+      case 'TryStatement':
+        this.visit(node.block);
+        for (const handler of node.handlers) {
+          handler.types.forEach((type) => this.visit(type));
+          // The caught error belongs to its except clause
+          this.pushFrame(handler, { bindings: handler.param ? [handler.param.name] : [] });
+          this.visit(handler.body);
+          this.popFrame();
+        }
+        this.visit(node.orelse);
+        this.visit(node.finalizer);
+        return;
+      case 'MatchStatement':
+        this.visit(node.discriminant);
+        for (const arm of node.cases) {
+          // Names bound by the pattern belong to the case
+          patternValues(arm.pattern).forEach((value) => this.visit(value));
+          this.pushFrame(arm, { bindings: arm.names });
+          this.visit(arm.guard);
+          this.visit(arm.body);
+          this.popFrame();
+        }
+        return;
+      case 'ComprehensionExpression':
+        this.visitComprehension(node);
+        return;
+      case 'ClassDeclaration':
+        // Fields are not variables; methods are functions
+        this.bind([node.id.name]);
+        this.visit(node.superClass);
+        for (const member of node.body) {
+          if (member.computed) this.visit(member.key);
+          this.visit(member.value);
+        }
+        return;
+      default:
+        this.children(node);
+    }
+  }
+
+  visitFunction(node) {
+    // A function declaration binds its name in the enclosing block
+    if (node.type === 'FunctionDeclaration') this.bind([node.id.name]);
+    if (node.decorators) node.decorators.forEach((decorator) => this.visit(decorator));
+
+    this.enterFunction(node);
+    const params = node.params.flatMap((param) => patternNames(param));
+    if (node.type === 'FunctionExpression' && node.id) params.push(node.id.name);
+
+    this.pushFrame(node, { bindings: params });
+    node.params.forEach((param) => this.visit(param));
+    if (node.body.type === 'BlockStatement') {
+      this.statements(node.body, node.body.body);
+    } else {
+      this.context.expressionBody = true;
+      this.visit(node.body);
+    }
+    this.popFrame();
+    this.exitFunction();
+  }
+
+  visitLoop(node) {
+    const body = node.body;
+    const loopBody = () => this.statements(body, body.body, { loop: true });
+
+    switch (node.type) {
+      case 'ForRangeStatement':
+        this.visit(node.from);
+        this.visit(node.to);
+        this.visit(node.step);
+        this.pushFrame(node, { bindings: [node.variable.name] });
+        loopBody();
+        this.popFrame();
+        return;
+      case 'ForOfStatement':
+      case 'ForInStatement':
+        this.visit(node.right);
+        if (node.kind) {
+          this.pushFrame(node, { bindings: patternNames(node.left) });
+        } else {
+          // for (x of list) assigns x
+          this.target(node.left);
+          this.pushFrame(node);
+        }
+        loopBody();
+        this.popFrame();
+        return;
+      case 'ForStatement': {
+        const init = node.init;
+        const bindings =
+          init && init.type === 'VariableDeclaration'
+            ? init.declarations.flatMap(({ id }) => patternNames(id))
+            : [];
+        this.pushFrame(node, { bindings });
+        this.visit(init);
+        this.visit(node.test);
+        this.visit(node.update);
+        loopBody();
+        this.popFrame();
+        return;
+      }
+      default:
+        this.children(node, ['body', 'label', 'orelse']);
+        this.pushFrame(node);
+        loopBody();
+        this.popFrame();
+    }
+  }
+
+  visitComprehension(node) {
+    // Each for clause binds its names for the clauses after it and the result
+    let frames = 0;
+    for (const clause of node.clauses) {
+      if (clause.type === 'ComprehensionIf') {
+        this.visit(clause.test);
+        continue;
+      }
+      let bindings;
+      if (clause.type === 'ForRangeStatement') {
+        this.visit(clause.from);
+        this.visit(clause.to);
+        this.visit(clause.step);
+        bindings = [clause.variable.name];
+      } else {
+        this.visit(clause.right);
+        bindings = patternNames(clause.left);
+      }
+      this.pushFrame(clause, { bindings });
+      frames++;
+    }
+    this.visit(node.element);
+    this.visit(node.key);
+    this.visit(node.value);
+    for (; frames > 0; frames--) this.popFrame();
+  }
+
+  visitScopeDeclaration(node) {
+    const context = this.context;
+    if (node.kind === 'nonlocal' && !context.parent) {
+      throw syntaxError('"nonlocal" is only allowed inside a function', node.loc);
+    }
+    const names = node.kind === 'global' ? context.globals : context.nonlocals;
+    node.names.forEach((id) => names.set(id.name, node));
+  }
+
+  // ---------------------------------------------------------------------
+  // Resolving names
+  // ---------------------------------------------------------------------
+
+  /**
+   * Resolves the names of a function after those of the functions inside it
+   * @returns {object[]} - References that belong to an enclosing function
+   */
+  resolve(context) {
+    const refs = [...context.refs];
+    for (const child of context.children) {
+      for (const ref of this.resolve(child)) {
+        refs.push({ ...ref, position: child.position, nested: true });
+      }
+    }
+
+    const isProgram = !context.parent;
+    const bound = (ref) =>
+      ref.position.some(({ frame }) => frame.bindings.has(ref.name));
+    const modeOf = (ref) => {
+      if (ref.nested) return ref.mode;
+      if (context.globals.has(ref.name)) return 'global';
+      if (context.nonlocals.has(ref.name)) return 'nonlocal';
+      return 'free';
+    };
+
+    // Assigning a name makes it local to the function. Assignments in
+    // functions that say "global name" make it local to the program
+    const locals = new Set();
+    for (const ref of refs) {
+      if (!ref.assign || bound(ref) || context.expressionBody) continue;
+      const mode = modeOf(ref);
+      if (mode === 'free' || (mode === 'global' && isProgram)) {
+        locals.add(ref.name);
+      }
+    }
+
+    const candidates = new Map();
+    const outer = [];
+    for (const ref of refs) {
+      if (bound(ref)) continue;
+      const mode = modeOf(ref);
+      const local =
+        locals.has(ref.name) &&
+        (mode === 'free' ||
+          (mode === 'nonlocal' && ref.nested) ||
+          (mode === 'global' && isProgram));
+
+      if (local) {
+        if (!candidates.has(ref.name)) candidates.set(ref.name, []);
+        candidates.get(ref.name).push(ref);
+      } else if (isProgram && mode === 'nonlocal') {
+        const declaration = ref.declaration || context.nonlocals.get(ref.name);
+        throw syntaxError(
+          `No binding for nonlocal "${ref.name}" found`,
+          declaration.loc
+        );
+      } else if (isProgram) {
+        if (ref.node) this.free.add(ref.node);
+      } else {
+        outer.push({
+          name: ref.name,
+          assign: ref.assign,
+          node: ref.node,
+          value: ref.value,
+          update: ref.update,
+          mode,
+          declaration: ref.declaration || context.nonlocals.get(ref.name),
+        });
+      }
+    }
+
+    candidates.forEach((candidateRefs, name) => this.declare(name, candidateRefs));
+    return outer;
+  }
+
+  /**
+   * Picks the statement that declares a local name
+   */
+  declare(name, refs) {
+    this.variables.push(refs);
+    const chains = refs.map((ref) =>
+      ref.position.filter(({ frame }) => frame.statements)
+    );
+
+    // The innermost block that contains every use
+    let depth = 1;
+    while (
+      chains.every(
+        (chain) =>
+          chain.length > depth && chain[depth].frame === chains[0][depth].frame
+      )
+    ) {
+      depth++;
+    }
+
+    // Uses inside nested functions only run when the function is called, so
+    // the first direct use can declare the name: "x = 1" becomes "let x = 1"
+    const body = chains[0][depth - 1].frame.node.body;
+    const first = (list) =>
+      list
+        .map((chain) => chain[depth - 1].statement)
+        .reduce((a, b) => (body.indexOf(b) < body.indexOf(a) ? b : a));
+    const direct = chains.filter((chain, i) => !refs[i].nested);
+    if (direct.length > 0) {
+      const declaring = unwrapExport(first(direct));
+      const inline = declaringGroups(declaring).some((names) =>
+        names.includes(name)
+      );
+      if (inline) {
+        this.add(this.inline, declaring, name);
+        return;
+      }
+    }
+
+    // Otherwise "let x;" goes before the first statement that uses it
+    let site = first(chains);
+
+    // A variable that is read before it is assigned in a loop body keeps
+    // its value from one iteration to the next
+    while (depth > 1 && chains[0][depth - 1].frame.loop) {
+      depth--;
+      site = chains[0][depth - 1].statement;
+    }
+    this.add(this.hoisted, site, name);
+  }
+
+  /**
+   * Finds the variables that only ever hold arrays: every assignment gives
+   * them one, so array sugar that needs an array, like items.first, works
+   * on them. Starts from all of them and drops those with an assignment
+   * that is not known to be an array, until none is left to drop, so that
+   * items = items.filter(2) keeps items an array
+   * @param {object} scope - The result of analyzeScopes; fills its arrays
+   */
+  findArrays(scope) {
+    let candidates = this.variables.filter((refs) =>
+      refs.every((ref) => !ref.update && (!ref.assign || ref.value))
+    );
+    candidates.forEach((refs) => refs.forEach((ref) => scope.arrays.add(ref.node)));
+
+    let dropped = true;
+    while (dropped) {
+      dropped = false;
+      candidates = candidates.filter((refs) => {
+        if (refs.every((ref) => !ref.assign || isKnownArray(ref.value, scope))) return true;
+        refs.forEach((ref) => scope.arrays.delete(ref.node));
+        dropped = true;
+        return false;
+      });
+    }
+  }
+
+  add(map, statement, name) {
+    if (!map.has(statement)) map.set(statement, new Set());
+    map.get(statement).add(name);
+  }
+
+  /**
+   * A destructuring assignment declares all of its names or none of them;
+   * the others are declared before it
+   */
+  splitPatterns() {
+    this.inline.forEach((names, statement) => {
+      for (const group of declaringGroups(statement)) {
+        if (group.every((name) => names.has(name))) continue;
+        for (const name of group) {
+          if (!names.has(name)) continue;
+          names.delete(name);
+          this.add(this.hoisted, statement, name);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Analyzes the scopes of a program
+ * @param {object} program - The Program node
+ * @returns {{inline: Map<object, Set<string>>, hoisted: Map<object, Set<string>>, free: Set<object>, arrays: Set<object>}}
+ *   - For each statement, the names it declares with let, and the names to
+ *   declare with let on a line of their own just before it; the
+ *   identifiers that are not variables of the program, and those of
+ *   variables that only ever hold arrays
+ */
+function analyzeScopes(program) {
+  const analyzer = new ScopeAnalyzer();
+  analyzer.enterFunction(program);
+  analyzer.statements(program, program.body);
+  analyzer.resolve(analyzer.context);
+  analyzer.splitPatterns();
+  const scope = {
+    inline: analyzer.inline,
+    hoisted: analyzer.hoisted,
+    free: analyzer.free,
+    arrays: new Set(),
+  };
+  analyzer.findArrays(scope);
+  return scope;
+}
+
+module.exports = {
+  analyzeScopes,
+};
@@ -0,0 +1,169 @@
+/**
+ * Source map support for litescript
+ * Encodes and decodes version 3 source maps so that positions in the
+ * generated JavaScript can be traced back to the original .ls file
+ */
+
+const BASE64 =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encodes a number as a base64 VLQ
+ */
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let result = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    result += BASE64[digit];
+  } while (vlq > 0);
+  return result;
+}
+
+/**
+ * Decodes all base64 VLQ numbers in a mapping segment
+ */
+function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Encodes mappings into the "mappings" field of a source map
+ * @param {object[][]} lines - For each generated line, a list of
+ *   { column, sourceLine, sourceColumn } (all 0-based); a segment with
+ *   only a column starts code that has no original position
+ * @returns {string} - The encoded mappings
+ */
+function encodeMappings(lines) {
+  let previousSourceLine = 0;
+  let previousSourceColumn = 0;
+
+  return lines
+    .map((segments) => {
+      let previousColumn = 0;
+      return segments
+        .map((segment) => {
+          if (segment.sourceLine === undefined) {
+            const encoded = encodeVLQ(segment.column - previousColumn);
+            previousColumn = segment.column;
+            return encoded;
+          }
+          const encoded =
+            encodeVLQ(segment.column - previousColumn) +
+            encodeVLQ(0) +
+            encodeVLQ(segment.sourceLine - previousSourceLine) +
+            encodeVLQ(segment.sourceColumn - previousSourceColumn);
+          previousColumn = segment.column;
+          previousSourceLine = segment.sourceLine;
+          previousSourceColumn = segment.sourceColumn;
+          return encoded;
+        })
+        .join(',');
+    })
+    .join(';');
+}
+
+/**
+ * Decodes the "mappings" field of a source map
+ * @param {string} mappings - The encoded mappings
+ * @returns {object[][]} - Segments per generated line (see encodeMappings)
+ */
+function decodeMappings(mappings) {
+  let sourceLine = 0;
+  let sourceColumn = 0;
+
+  return mappings.split(';').map((line) => {
+    let column = 0;
+    const segments = [];
+    for (const part of line.split(',')) {
+      if (!part) continue;
+      const values = decodeVLQ(part);
+      column += values[0];
+      if (values.length < 4) {
+        segments.push({ column });
+        continue;
+      }
+      sourceLine += values[2];
+      sourceColumn += values[3];
+      segments.push({ column, sourceLine, sourceColumn });
+    }
+    return segments;
+  });
+}
+
+/**
+ * Creates a source map object
+ * @param {object} options
+ * @param {object[][]} options.lines - Segments per generated line
+ * @param {string} [options.file] - Name of the generated file
+ * @param {string} [options.source] - Name of the original file
+ * @param {string} [options.sourceContent] - Content of the original file
+ * @returns {object} - A version 3 source map
+ */
+function createSourceMap({ lines, file, source, sourceContent }) {
+  const map = {
+    version: 3,
+    file: file || '',
+    sources: [source || ''],
+    names: [],
+    mappings: encodeMappings(lines),
+  };
+  if (sourceContent !== undefined) {
+    map.sourcesContent = [sourceContent];
+  }
+  return map;
+}
+
+/**
+ * Finds the original position of a position in the generated code
+ * @param {object} map - A version 3 source map
+ * @param {number} line - 1-based line in the generated code
+ * @param {number} column - 0-based column in the generated code
+ * @returns {{line: number, column: number}|null} - 1-based line, 0-based column
+ */
+function originalPositionFor(map, line, column) {
+  if (!map._decoded) {
+    Object.defineProperty(map, '_decoded', {
+      value: decodeMappings(map.mappings),
+    });
+  }
+
+  // Use the closest mapping at or before the position, looking at earlier
+  // lines when the line itself has none; code without an original
+  // position, like the runtime helpers, has none
+  for (let index = line - 1; index >= 0; index--) {
+    const segments = map._decoded[index];
+    if (!segments || segments.length === 0) continue;
+    let found = null;
+    for (const segment of segments) {
+      if (index < line - 1 || segment.column <= column) found = segment;
+    }
+    if (!found) found = segments[0];
+    if (found.sourceLine === undefined) return null;
+    return { line: found.sourceLine + 1, column: found.sourceColumn };
+  }
+  return null;
+}
+
+module.exports = {
+  encodeMappings,
+  decodeMappings,
+  createSourceMap,
+  originalPositionFor,
+};
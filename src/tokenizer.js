@@ -0,0 +1,613 @@
+/**
+ * Tokenizer for litescript
+ * Splits source code into tokens and turns indentation into INDENT/DEDENT tokens
+ */
+
+/**
+ * Punctuators, longest first so that the scanner always takes the longest match
+ */
+const PUNCTUATORS = [
+  '>>>=',
+  '...',
+  '..=',
+  '===',
+  '!==',
+  '**=',
+  '<<=',
+  '>>=',
+  '>>>',
+  '&&=',
+  '||=',
+  '??=',
+  '=>',
+  '->',
+  '==',
+  '!=',
+  '<=',
+  '>=',
+  '&&',
+  '||',
+  '??',
+  '?.',
+  '++',
+  '--',
+  '+=',
+  '-=',
+  '*=',
+  '/=',
+  '%=',
+  '&=',
+  '|=',
+  '^=',
+  '**',
+  '<<',
+  '>>',
+  '..',
+  '{',
+  '}',
+  '(',
+  ')',
+  '[',
+  ']',
+  ';',
+  ',',
+  '<',
+  '>',
+  '+',
+  '-',
+  '*',
+  '/',
+  '%',
+  '&',
+  '|',
+  '^',
+  '!',
+  '~',
+  '?',
+  ':',
+  '=',
+  '.',
+  '@',
+];
+
+/**
+ * Names after which a slash starts a regular expression rather than a division
+ */
+const REGEX_PREFIX_KEYWORDS = new Set([
+  'return',
+  'typeof',
+  'instanceof',
+  'in',
+  'of',
+  'new',
+  'delete',
+  'void',
+  'throw',
+  'case',
+  'do',
+  'else',
+  'yield',
+  'await',
+  'if',
+  'while',
+]);
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * Operators that continue an expression on the next line when they end one
+ */
+const BINARY_OPERATORS = new Set([
+  '===', '!==', '>>>', '==', '!=', '<=', '>=', '&&', '||', '??', '**', '<<',
+  '>>', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^', 'and', 'or',
+]);
+
+/**
+ * Creates a syntax error that carries the source position it refers to
+ * @param {string} message - Description of the problem
+ * @param {{line: number, column: number}} position - 1-based line, 0-based column
+ * @returns {SyntaxError}
+ */
+function syntaxError(message, position) {
+  const error = new SyntaxError(
+    `${message} (${position.line}:${position.column + 1})`
+  );
+  error.loc = { line: position.line, column: position.column };
+  return error;
+}
+
+/**
+ * Tokenizes litescript source code
+ *
+ * Produces tokens of type name, number, string, template, regex, punct,
+ * newline, indent, dedent and eof. Newlines and indentation are only
+ * significant at the top level and directly inside braces; inside
+ * parentheses and brackets lines are joined.
+ *
+ * @param {string} source - The litescript source code
+ * @param {object} [options]
+ * @param {number} [options.offset] - Index in source to start at
+ * @param {number} [options.end] - Index in source to stop at
+ * @param {number} [options.line] - Line number of the start position
+ * @param {number} [options.column] - Column of the start position
+ * @param {boolean} [options.layout] - Whether to emit newline/indent/dedent tokens
+ * @returns {object[]} - The tokens
+ */
+function tokenize(source, options = {}) {
+  const end = options.end === undefined ? source.length : options.end;
+  const tokens = [];
+  let pos = options.offset || 0;
+  let line = options.line || 1;
+  let lineStart = pos - (options.column || 0);
+
+  // Each frame owns an indentation stack; parentheses and brackets have none.
+  // A lambda whose body starts on the next line (x ->) opens a frame with
+  // layout even inside parentheses; it ends at the first line that is not
+  // indented more than the line of the arrow
+  const layout = options.layout !== false;
+  const frames = [{ char: null, indents: layout ? [0] : null }];
+  let atLineStart = layout;
+  // Where the last line break was, so newline tokens point at the line they end
+  let lastBreak = null;
+
+  // Skip a shebang line at the very beginning of a file
+  if (pos === 0 && source.startsWith('#!')) {
+    while (pos < end && source[pos] !== '\n') pos++;
+  }
+
+  function position() {
+    return { line, column: pos - lineStart };
+  }
+
+  function currentFrame() {
+    return frames[frames.length - 1];
+  }
+
+  function push(type, value, startPos, startLoc, extra) {
+    const token = {
+      type,
+      value,
+      start: startPos,
+      end: pos,
+      line: startLoc.line,
+      column: startLoc.column,
+      spaceBefore:
+        startPos > 0 && /\s/.test(source[startPos - 1] || '') ? true : false,
+      ...extra,
+    };
+    tokens.push(token);
+    return token;
+  }
+
+  function lastToken() {
+    return tokens[tokens.length - 1];
+  }
+
+  function pushNewline() {
+    const last = lastToken();
+    if (
+      last &&
+      last.type !== 'newline' &&
+      last.type !== 'indent' &&
+      last.type !== 'dedent' &&
+      !(last.type === 'punct' && last.value === '{')
+    ) {
+      const at = lastBreak || { pos, ...position() };
+      tokens.push({
+        type: 'newline',
+        value: '\n',
+        start: at.pos,
+        end: at.pos,
+        line: at.line,
+        column: at.column,
+        spaceBefore: false,
+      });
+    }
+  }
+
+  function newLine() {
+    lastBreak = { pos, line, column: pos - lineStart };
+    pos++;
+    line++;
+    lineStart = pos;
+  }
+
+  /**
+   * Skips whitespace and comments, tracking line breaks
+   * Returns true if at least one line break was crossed
+   */
+  function skipTrivia() {
+    let crossedLine = false;
+    while (pos < end) {
+      const char = source[pos];
+      if (char === '\n') {
+        newLine();
+        crossedLine = true;
+      } else if (char === ' ' || char === '\t' || char === '\r') {
+        pos++;
+      } else if (char === '/' && source[pos + 1] === '/') {
+        while (pos < end && source[pos] !== '\n') pos++;
+      } else if (char === '/' && source[pos + 1] === '*') {
+        const startLoc = position();
+        pos += 2;
+        while (pos < end && !(source[pos] === '*' && source[pos + 1] === '/')) {
+          if (source[pos] === '\n') {
+            newLine();
+            crossedLine = true;
+          } else {
+            pos++;
+          }
+        }
+        if (pos >= end) {
+          throw syntaxError('Unterminated comment', startLoc);
+        }
+        pos += 2;
+      } else {
+        break;
+      }
+    }
+    return crossedLine;
+  }
+
+  /**
+   * Opens a lambda frame if the arrow just scanned ends its line
+   */
+  function openLambda(arrow) {
+    const frame = currentFrame();
+    if (!layout || frame.indents) return;
+    const lineEnd = source.indexOf('\n', pos);
+    const rest = source.slice(pos, lineEnd === -1 ? end : lineEnd);
+    if (!/^[ \t]*(\/\/.*)?\r?$/.test(rest)) return;
+    const indentation = /^[ \t]*/.exec(source.slice(lineStart, pos))[0];
+    frames.push({
+      char: '->',
+      indents: [indentation.length],
+      token: arrow,
+      lambda: true,
+    });
+  }
+
+  /**
+   * Closes a lambda frame, ending its indented body
+   */
+  function closeLambda() {
+    const frame = frames.pop();
+    pushNewline();
+    for (let i = 1; i < frame.indents.length; i++) {
+      push('dedent', '', pos, position());
+    }
+  }
+
+  /**
+   * Checks if the line that starts at pos continues the one before it:
+   * that line ends with a binary operator, or this one is indented more
+   * and starts with "." or "?.", like the next call of a method chain
+   */
+  function continuesLine(frame) {
+    const last = lastToken();
+    const operator = last && (last.type === 'punct' || last.type === 'name');
+    if (operator && BINARY_OPERATORS.has(last.value)) return true;
+    const indents = frame.indents;
+    const deeper = indents.length > 0 && pos - lineStart > indents[indents.length - 1];
+    const dot = (source[pos] === '.' && source[pos + 1] !== '.') || source.startsWith('?.', pos);
+    return deeper && dot;
+  }
+
+  /**
+   * Emits indent/dedent tokens for the line that starts at pos
+   */
+  function handleIndentation() {
+    const frame = currentFrame();
+    const width = pos - lineStart;
+    const char = source[pos];
+
+    // A line that starts with a closing bracket never changes indentation
+    if (char === '}' || char === ')' || char === ']') return;
+
+    if (frame.indents.length === 0) {
+      frame.indents.push(width);
+      return;
+    }
+
+    const indents = frame.indents;
+    const current = indents[indents.length - 1];
+    if (width > current) {
+      indents.push(width);
+      push('indent', '', pos, position());
+    } else if (width < current) {
+      while (indents.length > 1 && width < indents[indents.length - 1]) {
+        indents.pop();
+        push('dedent', '', pos, position());
+      }
+      if (width !== indents[indents.length - 1]) {
+        if (indents.length > 1 || frame.char === null || frame.lambda) {
+          throw syntaxError(
+            'Unindent does not match any outer indentation level',
+            position()
+          );
+        }
+        // Inside braces the first line only sets a base; allow shallower lines
+        indents[0] = width;
+      }
+    }
+  }
+
+  function scanNumber() {
+    const startPos = pos;
+    const startLoc = position();
+    if (source[pos] === '0' && /[xXoObB]/.test(source[pos + 1] || '')) {
+      pos += 2;
+      while (pos < end && /[0-9a-fA-F_]/.test(source[pos])) pos++;
+    } else {
+      while (pos < end && /[0-9_]/.test(source[pos])) pos++;
+      // A fraction needs a digit after the dot, so 0..5 stays a range
+      if (source[pos] === '.' && /[0-9]/.test(source[pos + 1] || '')) {
+        pos++;
+        while (pos < end && /[0-9_]/.test(source[pos])) pos++;
+      }
+      if (/[eE]/.test(source[pos] || '')) {
+        let next = pos + 1;
+        if (source[next] === '+' || source[next] === '-') next++;
+        if (/[0-9]/.test(source[next] || '')) {
+          pos = next;
+          while (pos < end && /[0-9_]/.test(source[pos])) pos++;
+        }
+      }
+    }
+    if (source[pos] === 'n') pos++;
+    push('number', source.slice(startPos, pos), startPos, startLoc);
+  }
+
+  function scanString(quote) {
+    const startPos = pos;
+    const startLoc = position();
+    pos++;
+    while (pos < end && source[pos] !== quote) {
+      if (source[pos] === '\\') {
+        if (source[pos + 1] === '\n') {
+          pos++;
+          newLine();
+          continue;
+        }
+        pos++;
+      } else if (source[pos] === '\n') {
+        throw syntaxError('Unterminated string', startLoc);
+      }
+      pos++;
+    }
+    if (pos >= end) {
+      throw syntaxError('Unterminated string', startLoc);
+    }
+    pos++;
+    push('string', source.slice(startPos, pos), startPos, startLoc);
+  }
+
+  function scanTemplate() {
+    const startPos = pos;
+    const startLoc = position();
+    const quasis = [];
+    const expressions = [];
+    pos++;
+    let quasiStart = pos;
+
+    while (pos < end && source[pos] !== '`') {
+      if (source[pos] === '\\') {
+        pos += 2;
+      } else if (source[pos] === '$' && source[pos + 1] === '{') {
+        quasis.push(source.slice(quasiStart, pos));
+        pos += 2;
+        const exprLoc = position();
+        const exprStart = pos;
+        let depth = 1;
+        // Find the matching brace by tokenizing, so strings inside are respected
+        const inner = [];
+        while (depth > 0) {
+          skipTrivia();
+          if (pos >= end) {
+            throw syntaxError('Unterminated template literal', startLoc);
+          }
+          if (source[pos] === '{') depth++;
+          if (source[pos] === '}') {
+            depth--;
+            if (depth === 0) break;
+          }
+          inner.push(scanOne());
+        }
+        expressions.push({
+          start: exprStart,
+          end: pos,
+          line: exprLoc.line,
+          column: exprLoc.column,
+        });
+        // scanOne pushed the inner tokens; they belong to the expression only
+        tokens.splice(tokens.length - inner.length, inner.length);
+        pos++;
+        quasiStart = pos;
+      } else if (source[pos] === '\n') {
+        newLine();
+      } else {
+        pos++;
+      }
+    }
+    if (pos >= end) {
+      throw syntaxError('Unterminated template literal', startLoc);
+    }
+    quasis.push(source.slice(quasiStart, pos));
+    pos++;
+    push('template', source.slice(startPos, pos), startPos, startLoc, {
+      quasis,
+      expressions,
+    });
+  }
+
+  function regexAllowed() {
+    const last = lastToken();
+    if (!last) return true;
+    if (last.type === 'name') return REGEX_PREFIX_KEYWORDS.has(last.value);
+    if (last.type === 'punct') {
+      return !(
+        last.value === ')' ||
+        last.value === ']' ||
+        last.value === '}' ||
+        last.value === '++' ||
+        last.value === '--'
+      );
+    }
+    return (
+      last.type === 'newline' || last.type === 'indent' || last.type === 'dedent'
+    );
+  }
+
+  function scanRegex() {
+    const startPos = pos;
+    const startLoc = position();
+    let inClass = false;
+    pos++;
+    while (pos < end) {
+      const char = source[pos];
+      if (char === '\n') break;
+      if (char === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) break;
+      pos++;
+    }
+    if (source[pos] !== '/') {
+      throw syntaxError('Unterminated regular expression', startLoc);
+    }
+    pos++;
+    while (pos < end && /[a-z]/.test(source[pos])) pos++;
+    push('regex', source.slice(startPos, pos), startPos, startLoc);
+  }
+
+  function scanPunctuator() {
+    const startPos = pos;
+    const startLoc = position();
+    for (const punct of PUNCTUATORS) {
+      if (source.startsWith(punct, pos)) {
+        // ?. followed by a digit is a conditional with a decimal number
+        if (punct === '?.' && /[0-9]/.test(source[pos + 2] || '')) continue;
+        pos += punct.length;
+        return push('punct', punct, startPos, startLoc);
+      }
+    }
+    throw syntaxError(`Unexpected character "${source[pos]}"`, startLoc);
+  }
+
+  /**
+   * Scans a single token at pos and returns it
+   */
+  function scanOne() {
+    const char = source[pos];
+    const startPos = pos;
+    const startLoc = position();
+
+    if (/[A-Za-z_$À-￿]/.test(char)) {
+      while (pos < end && /[\w$À-￿]/.test(source[pos])) pos++;
+      return push('name', source.slice(startPos, pos), startPos, startLoc);
+    }
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[pos + 1]))) {
+      scanNumber();
+      return lastToken();
+    }
+    if (char === '"' || char === "'") {
+      scanString(char);
+      return lastToken();
+    }
+    if (char === '`') {
+      scanTemplate();
+      return lastToken();
+    }
+    if (char === '/' && regexAllowed()) {
+      scanRegex();
+      return lastToken();
+    }
+    return scanPunctuator();
+  }
+
+  while (true) {
+    const crossedLine = skipTrivia();
+
+    // A line that is not indented more than the arrow ends a lambda body
+    while (
+      currentFrame().lambda &&
+      (pos >= end || (crossedLine && pos - lineStart <= currentFrame().indents[0]))
+    ) {
+      closeLambda();
+    }
+
+    const frame = currentFrame();
+
+    const continued = frame.indents && crossedLine && pos < end && continuesLine(frame);
+    if (frame.indents && (crossedLine || atLineStart) && !continued) {
+      if (pos >= end) break;
+      if (crossedLine) pushNewline();
+      handleIndentation();
+    }
+    atLineStart = false;
+
+    if (pos >= end) break;
+
+    const char = source[pos];
+
+    if (char === '(' || char === '[' || char === '{') {
+      const token = scanPunctuator();
+      frames.push({
+        char,
+        indents: char === '{' && layout ? [] : null,
+        token,
+      });
+      continue;
+    }
+
+    if (char === ')' || char === ']' || char === '}') {
+      while (currentFrame().lambda) closeLambda();
+      if (frames.length === 1) {
+        throw syntaxError(`Unmatched "${char}"`, position());
+      }
+      const open = frames.pop();
+      if (CLOSING[open.char] !== char) {
+        throw syntaxError(
+          `Expected "${CLOSING[open.char]}" to close "${open.char}" from line ${open.token.line}`,
+          position()
+        );
+      }
+      // Close any indented blocks that were opened inside the braces
+      if (open.indents && open.indents.length > 1) {
+        pushNewline();
+        for (let i = 1; i < open.indents.length; i++) {
+          push('dedent', '', pos, position());
+        }
+      }
+      scanPunctuator();
+      continue;
+    }
+
+    const token = scanOne();
+    if (token.type === 'punct' && token.value === '->') openLambda(token);
+  }
+
+  if (frames.length > 1) {
+    const open = frames[frames.length - 1];
+    throw syntaxError(`Unclosed "${open.char}"`, open.token);
+  }
+
+  const rootIndents = frames[0].indents;
+  if (rootIndents) {
+    pushNewline();
+    for (let i = 1; i < rootIndents.length; i++) {
+      push('dedent', '', pos, position());
+    }
+  }
+  push('eof', '', pos, position());
+
+  return tokens;
+}
+
+module.exports = {
+  tokenize,
+  syntaxError,
+};
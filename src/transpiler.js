@@ -1,42 +1,34 @@
 /**
  * Core transpiler logic for litescript
- * Converts .ls files to JavaScript using regex-based transformations
+ * Converts .ls files to JavaScript: the source is tokenized and parsed into
+ * an AST in a single pass, and JavaScript is generated from that tree
  */
 
-const { transformArrays } = require('./features/arrays');
-const { transformCodeBlocks } = require('./features/codeblocks');
-const { transformVariables } = require('./features/variables');
-const { transformLog } = require('./features/log');
-const { transformFunctions } = require('./features/functions');
-const { transformLoops } = require('./features/loops');
+const { parse } = require('./parser');
+const { generate } = require('./generator');
 
 /**
  * Transpiles litescript source code to JavaScript
  * @param {string} source - The litescript source code
- * @returns {string} - The transpiled JavaScript code
+ * @param {object} [options]
+ * @param {boolean} [options.sourceMap] - Also return a source map
+ * @param {string} [options.filename] - Name of the .ls file, used in the map
+ * @param {string} [options.outputFilename] - Name of the generated .js file
+ * @param {string} [options.format] - Module format: cjs (default) or esm
+ * @param {string} [options.runtime] - How the program gets its runtime
+ *   helpers: inline (default), a copy of each one it uses, or import, from
+ *   litescript/runtime
+ * @param {string} [options.extension] - Extension that replaces .ls in
+ *   relative import paths
+ * @returns {string|{code: string, map: object}} - The transpiled JavaScript
+ *   code, or { code, map } when options.sourceMap is set
  */
-function transpile(source) {
-  let output = source;
+function transpile(source, options = {}) {
+  // Build the AST (tokenizer + parser, see src/parser.js)
+  const ast = parse(source);
 
-  // Apply loop transformations first (for i in 0...5, repeat 10, etc.)
-  output = transformLoops(output);
-
-  // Apply variable transformations (remove let/const, auto-declare)
-  output = transformVariables(output);
-
-  // Apply function transformations (functionName(): to function functionName() {)
-  output = transformFunctions(output);
-
-  // Apply code block transformations (adds braces based on indentation)
-  output = transformCodeBlocks(output);
-
-  // Apply array transformations
-  output = transformArrays(output);
-
-  // Apply log transformations (enhanced console.log)
-  output = transformLog(output);
-
-  return output;
+  // Generate JavaScript from it (language features live in src/features)
+  return generate(ast, source, options);
 }
 
 module.exports = {
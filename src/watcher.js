@@ -1,8 +1,7 @@
 const chokidar = require('chokidar');
-const fs = require('fs');
 const path = require('path');
-const vm = require('vm');
-const { transpile } = require('./transpiler');
+const { formatError } = require('./errors');
+const { files, register, run, clearCache } = require('./register');
 
 /**
  * Watches a litescript file and automatically executes it on changes
@@ -10,73 +9,56 @@ const { transpile } = require('./transpiler');
  */
 function watch(inputFile) {
   console.log(`Watching ${inputFile} for changes...`);
+  register();
 
   const watcher = chokidar.watch(inputFile, {
     ignored: /(^|[\/\\])\../, // ignore dotfiles
     persistent: true,
   });
 
-  const execute = () => {
-    try {
-      const source = fs.readFileSync(inputFile, 'utf8');
-      const compiled = transpile(source);
+  const report = (error) => {
+    console.error(
+      `✗ Error executing ${inputFile}:`,
+      error && error.message !== undefined ? error.message : error
+    );
+    const details = formatError(error, { files });
+    if (details) {
+      console.error(details);
+    }
+  };
 
-      console.log(`\n--- Executing ${inputFile} ---`);
+  // Rejected promises that the program does not handle, and errors thrown
+  // in its callbacks, are reported, but do not stop the watcher
+  process.on('unhandledRejection', report);
+  process.on('uncaughtException', report);
 
-      // Create a fresh context for each execution to avoid variable pollution
-      const inputDir = path.dirname(path.resolve(inputFile));
-      const context = vm.createContext({
-        console: console,
-        require: require,
-        module: module,
-        exports: exports,
-        __dirname: inputDir,
-        __filename: path.resolve(inputFile),
-        process: process,
-        Buffer: Buffer,
-        global: global,
-        setTimeout: setTimeout,
-        setInterval: setInterval,
-        clearInterval: clearInterval,
-        clearTimeout: clearTimeout,
-        setImmediate: setImmediate,
-        clearImmediate: clearImmediate,
-        // Add common globals
-        Math: Math,
-        Date: Date,
-        JSON: JSON,
-        Array: Array,
-        Object: Object,
-        String: String,
-        Number: Number,
-        Boolean: Boolean,
-        RegExp: RegExp,
-        Error: Error,
-        TypeError: TypeError,
-        RangeError: RangeError,
-        ReferenceError: ReferenceError,
-        SyntaxError: SyntaxError,
-      });
+  const execute = async () => {
+    try {
+      console.log(`\n--- Executing ${inputFile} ---`);
 
-      vm.runInContext(compiled, context, {
-        filename: inputFile,
-        displayErrors: true,
-      });
+      // Load the file and its imports again, as fresh modules, so that no
+      // variables are left over from the previous run
+      clearCache();
+      await run(path.resolve(inputFile));
     } catch (error) {
-      console.error(`✗ Error executing ${inputFile}:`, error.message);
-      if (error.stack) {
-        console.error(error.stack);
-      }
+      report(error);
     }
+
+    // Also rerun when one of the imported .ls files changes
+    watcher.add([...files.keys()]);
+  };
+
+  // Runs wait for the previous one to finish, including its top-level await
+  let running = Promise.resolve();
+  const schedule = () => {
+    running = running.then(execute);
   };
 
   // Initial execution
-  execute();
+  schedule();
 
   // Watch for changes
-  watcher.on('change', (path) => {
-    execute();
-  });
+  watcher.on('change', schedule);
 
   watcher.on('error', (error) => {
     console.error(`Watcher error:`, error);